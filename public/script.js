@@ -11,9 +11,15 @@ const speedTestConnectionSelect = document.getElementById('speedTestConnection')
 const logViewer = document.getElementById('logViewer');
 const testLatencyBtn = document.getElementById('testLatencyBtn');
 const testStatus = document.getElementById('testStatus');
+const testProfileSelect = document.getElementById('testProfileSelect');
+const cancelLatencyBtn = document.getElementById('cancelLatencyBtn');
 const accordionContainer = document.getElementById('accordionContainer');
 const newConfigNameInput = document.getElementById('newConfigName');
 const addConfigBtn = document.getElementById('addConfigBtn');
+const validateConfigBtn = document.getElementById('validateConfigBtn');
+const importLinkInput = document.getElementById('importLinkInput');
+const parseLinkBtn = document.getElementById('parseLinkBtn');
+const importLinkBtn = document.getElementById('importLinkBtn');
 const logoutBtn = document.getElementById('logoutBtn');
 
 // Connection management elements
@@ -21,6 +27,8 @@ const connectionsList = document.getElementById('connectionsList');
 const startAllConnectionsBtn = document.getElementById('startAllConnectionsBtn');
 const stopAllConnectionsBtn = document.getElementById('stopAllConnectionsBtn');
 const noConnectionsMessage = document.getElementById('noConnectionsMessage');
+const failoverEventsSection = document.getElementById('failoverEventsSection');
+const failoverEventsList = document.getElementById('failoverEventsList');
 
 let mainEditor;
 let activeConfigName = null;
@@ -29,6 +37,11 @@ let configEditors = {}; // Store editor instances for accordion items
 let connectionStartTime = null;
 let connectionTimerInterval = null;
 let isAnyAccordionOpen = false; // Track if any accordion is open to pause auto-update
+let latencyHistorySeries = {}; // Latency time series per config, for the sparklines
+let latencyHistoryKey = null; // Refetch the history only when the results change
+let eventStreamConnected = false; // Polling pauses while the server pushes updates
+let currentUser = null; // { id, username, role } of the logged-in user
+let logLines = [];
 
 // Authentication functions
 function getAuthToken() {
@@ -61,6 +74,16 @@ async function authenticatedFetch(url, options = {}) {
     return response;
 }
 
+// Names and messages from share links, feeds and users go through this before they reach innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Check authentication on page load
 function checkAuthentication() {
     const token = getAuthToken();
@@ -74,18 +97,46 @@ function checkAuthentication() {
 // Add logout button to header
 function addLogoutButton() {
     if (logoutBtn) {
-        logoutBtn.addEventListener('click', () => {
+        logoutBtn.addEventListener('click', async () => {
+            // End the session on the server too, not just in this browser
+            try {
+                await authenticatedFetch('/api/logout', { method: 'POST' });
+            } catch (error) {
+                console.error('Failed to log out on the server:', error);
+            }
             localStorage.removeItem('authToken');
             window.location.href = '/login.html';
         });
     }
 }
 
+// Load the logged-in user. The role goes on <body> so the stylesheet hides
+// .requires-operator / .requires-admin controls the user can't use.
+async function loadCurrentUser() {
+    try {
+        const response = await authenticatedFetch('/api/me');
+        const data = await response.json();
+        currentUser = data.user;
+        document.body.dataset.role = currentUser.role;
+        const currentUserEl = document.getElementById('currentUser');
+        if (currentUserEl) currentUserEl.textContent = `${currentUser.username} (${currentUser.role})`;
+        updateSessionsList();
+        updateTokensList();
+        if (currentUser.role === 'admin') {
+            updateUsersList();
+            updateAuditLog();
+        }
+    } catch (error) {
+        console.error('Failed to load current user:', error);
+    }
+}
+
 // Initialize authentication check
 if (!checkAuthentication()) {
     // Will redirect to login
 } else {
     addLogoutButton();
+    loadCurrentUser();
 }
 
 // Tab Switching Logic
@@ -109,6 +160,9 @@ tabBtns.forEach(btn => {
         if (target === 'configs-tab') {
             Object.values(configEditors).forEach(ed => ed.layout());
         }
+        if (target === 'audit-tab') {
+            updateAuditLog();
+        }
     });
 });
 
@@ -187,7 +241,7 @@ async function updateStatusSummary() {
         const total = connections.length;
         const running = connections.filter(c => c.status === 'Running').length;
         const stopped = connections.filter(c => c.status === 'Stopped').length;
-        const errors = connections.filter(c => c.status === 'Error').length;
+        const errors = connections.filter(c => c.status === 'Error' || c.status === 'Crash Loop').length;
         
         if (totalConnectionsEl) totalConnectionsEl.textContent = total;
         if (runningConnectionsEl) runningConnectionsEl.textContent = running;
@@ -228,13 +282,98 @@ async function updateLogs() {
     try {
         const response = await authenticatedFetch('/api/logs');
         const data = await response.json();
-        logViewer.textContent = data.logs.join('\n');
-        logViewer.scrollTop = logViewer.scrollHeight;
+        logLines = data.logs;
+        renderLogs();
     } catch (error) {
         console.error('Failed to fetch logs:', error);
     }
 }
 
+const MAX_LOG_LINES = 100;
+function appendLogs(lines) {
+    logLines = logLines.concat(lines).slice(-MAX_LOG_LINES);
+    renderLogs();
+}
+
+function renderLogs() {
+    logViewer.textContent = logLines.join('\n');
+    logViewer.scrollTop = logViewer.scrollHeight;
+}
+
+// Find the line of a JSON path like "inbounds[0].port" by walking its keys in order
+function findPathLine(model, jsonPath) {
+    if (!jsonPath) return 1;
+    const text = model.getValue();
+    const keys = jsonPath.split('.').map(part => part.replace(/\[\d+\]/g, '')).filter(Boolean);
+    let offset = 0;
+    let found = -1;
+    keys.forEach(key => {
+        const index = text.indexOf(`"${key}"`, offset);
+        if (index !== -1) {
+            found = index;
+            offset = index + key.length + 2;
+        }
+    });
+    return found === -1 ? 1 : model.getPositionAt(found).lineNumber;
+}
+
+// Show validation errors returned by the API as Monaco markers
+function showValidationMarkers(editor, errors) {
+    if (!editor || !window.monaco) return;
+    const model = editor.getModel();
+    const markers = (errors || []).map(error => {
+        const line = Math.min(error.line || findPathLine(model, error.path), model.getLineCount());
+        return {
+            severity: monaco.MarkerSeverity.Error,
+            message: error.path ? `${error.path}: ${error.message}` : error.message,
+            startLineNumber: line,
+            startColumn: error.column || 1,
+            endLineNumber: line,
+            endColumn: model.getLineMaxColumn(line)
+        };
+    });
+    monaco.editor.setModelMarkers(model, 'xray', markers);
+}
+
+function clearValidationMarkers(editor) {
+    if (!editor || !window.monaco) return;
+    monaco.editor.setModelMarkers(editor.getModel(), 'xray', []);
+}
+
+if (validateConfigBtn) {
+    validateConfigBtn.addEventListener('click', async () => {
+        let config;
+        try {
+            config = JSON.parse(mainEditor.getValue());
+        } catch (e) {
+            alert('Invalid JSON config');
+            return;
+        }
+
+        validateConfigBtn.disabled = true;
+        try {
+            const response = await authenticatedFetch('/api/configs/validate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ config })
+            });
+            const data = await response.json();
+            if (data.error) {
+                alert(data.error);
+            } else if (data.valid) {
+                clearValidationMarkers(mainEditor);
+                alert('Config is valid');
+            } else {
+                showValidationMarkers(mainEditor, data.errors);
+            }
+        } catch (error) {
+            console.error('Failed to validate config:', error);
+        } finally {
+            validateConfigBtn.disabled = false;
+        }
+    });
+}
+
 addConfigBtn.addEventListener('click', async () => {
     const name = newConfigNameInput.value.trim();
     if (!name) {
@@ -257,8 +396,10 @@ addConfigBtn.addEventListener('click', async () => {
         });
         const data = await response.json();
         if (data.error) {
+            showValidationMarkers(mainEditor, data.errors);
             alert(data.error);
         } else {
+            clearValidationMarkers(mainEditor);
             newConfigNameInput.value = '';
             updateLatencyResults();
             // Switch to configs tab
@@ -269,6 +410,64 @@ addConfigBtn.addEventListener('click', async () => {
     }
 });
 
+// Parse a share link and load the resulting config into the editor for review
+parseLinkBtn.addEventListener('click', async () => {
+    const link = importLinkInput.value.trim();
+    if (!link) {
+        alert('Please paste a share link');
+        return;
+    }
+
+    try {
+        const response = await authenticatedFetch('/api/configs/parse-link', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ link })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        if (!newConfigNameInput.value.trim()) {
+            newConfigNameInput.value = data.name;
+        }
+        if (mainEditor) {
+            mainEditor.setValue(JSON.stringify(data.config, null, 2));
+        }
+    } catch (error) {
+        console.error('Failed to parse link:', error);
+    }
+});
+
+// Import a share link directly as a new config
+importLinkBtn.addEventListener('click', async () => {
+    const link = importLinkInput.value.trim();
+    if (!link) {
+        alert('Please paste a share link');
+        return;
+    }
+
+    try {
+        const response = await authenticatedFetch('/api/configs/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ link, name: newConfigNameInput.value.trim() })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        } else {
+            importLinkInput.value = '';
+            newConfigNameInput.value = '';
+            updateLatencyResults();
+            document.querySelector('[data-tab="configs-tab"]').click();
+        }
+    } catch (error) {
+        console.error('Failed to import link:', error);
+    }
+});
+
 async function updateLatencyResults() {
     // Skip update if any accordion is open to prevent losing user's changes
     if (isAnyAccordionOpen) {
@@ -287,57 +486,92 @@ async function updateLatencyResults() {
         const configsResponse = await authenticatedFetch('/api/configs');
         const configsData = await configsResponse.json();
 
+        const resultsKey = JSON.stringify(data.results);
+        if (resultsKey !== latencyHistoryKey) {
+            const historyResponse = await authenticatedFetch('/api/test-results/history');
+            const historyData = await historyResponse.json();
+            latencyHistorySeries = historyData.series || {};
+            latencyHistoryKey = resultsKey;
+        }
+
         // Keep track of which items were open
-        const openItems = Array.from(document.querySelectorAll('.accordion-item.active')).map(el => el.dataset.name);
+        const openItems = Array.from(document.querySelectorAll('.accordion-item.active')).map(el => el.dataset.id);
 
         accordionContainer.innerHTML = '';
         // Clean up old editors
         Object.values(configEditors).forEach(ed => ed.dispose());
         configEditors = {};
 
-        configsData.configs.forEach(item => {
-            const id = item.name;
-            const result = data.results.find(r => r.id === id);
-            const latencyText = result ? (result.latency === 'FAILED' ? 'FAILED' : result.latency + ' ms') : '-';
+        // Results and history are keyed by the config ID, which survives renames
+        const resultsById = new Map(data.results.map(r => [r.id, r]));
+        const sortedConfigs = [...configsData.configs].sort((a, b) =>
+            compareLatencyResults(resultsById.get(a.id), resultsById.get(b.id)));
+
+        sortedConfigs.forEach(item => {
+            const id = item.id;
+            const name = item.name;
+            const result = resultsById.get(id);
+            const latencyText = result ? formatLatency(result) : '-';
+            const latencyTitle = result ? formatLatencyDetails(result) : '';
             const latencyClass = result ? (result.latency === 'FAILED' ? 'bad' : (result.latency < 5000 ? 'good' : '')) : '';
 
             const itemEl = document.createElement('div');
             itemEl.className = `accordion-item ${openItems.includes(id) ? 'active' : ''}`;
-            itemEl.dataset.name = id;
-            const isActive = id === activeConfigName;
+            itemEl.dataset.id = id;
+            const isActive = name === activeConfigName;
+            // Config names come from share links and subscription feeds, so they are only ever set as text
             itemEl.innerHTML = `
-                <div class="accordion-header" onclick="toggleAccordion('${id}')">
+                <div class="accordion-header">
                     <div class="accordion-title">
                         ${isActive ? '<span class="active-indicator"></span>' : ''}
-                        ${id}
+                        <span class="accordion-name"></span>
                         <span class="latency-badge ${latencyClass}">${latencyText}</span>
+                        ${renderSparkline(latencyHistorySeries[id] || [])}
                     </div>
                     <div class="accordion-actions">
-                        <button class="test-btn" onclick="event.stopPropagation(); testSingleConfig('${id}')">Test</button>
-                        <button class="add-connection-btn" onclick="event.stopPropagation(); addToConnections('${id}')">Add</button>
-                        <button class="delete-btn" onclick="event.stopPropagation(); deleteConfig('${id}')">Delete</button>
+                        <button class="test-btn requires-operator" data-action="test">Test</button>
+                        <button class="share-btn" data-action="share">Share</button>
+                        <button class="add-connection-btn requires-admin" data-action="add">Add</button>
+                        <button class="share-btn requires-admin" data-action="duplicate">Duplicate</button>
+                        <button class="delete-btn requires-admin" data-action="delete">Delete</button>
                     </div>
                 </div>
                 <div class="accordion-content">
                     <div class="config-name-input-container">
-                        <label for="config-name-${id.replace(/\s+/g, '-')}">Config Name:</label>
-                        <input 
-                            type="text" 
-                            id="config-name-${id.replace(/\s+/g, '-')}" 
-                            class="config-name-input" 
-                            value="${id}"
-                            data-original-name="${id}"
-                        />
+                        <label for="config-name-${id}">Config Name:</label>
+                        <input type="text" id="config-name-${id}" class="config-name-input" />
                     </div>
-                    <div id="editor-${id.replace(/\s+/g, '-')}" class="mini-editor"></div>
-                    <button class="save-btn" onclick="saveConfig('${id}')">Save Changes</button>
+                    <div id="share-${id}" class="share-panel"></div>
+                    <div id="editor-${id}" class="mini-editor"></div>
+                    <button class="save-btn requires-admin">Save Changes</button>
                 </div>
             `;
+            itemEl.querySelector('.accordion-name').textContent = name;
+            itemEl.querySelector('.latency-badge').title = latencyTitle;
+            const nameInput = itemEl.querySelector('.config-name-input');
+            nameInput.value = name;
+            nameInput.dataset.originalName = name;
+
+            const actions = {
+                test: () => testSingleConfig(id),
+                share: () => showSharePanel(id, name),
+                add: () => addToConnections(id, name),
+                duplicate: () => duplicateConfig(id),
+                delete: () => deleteConfig(id, name)
+            };
+            itemEl.querySelector('.accordion-header').addEventListener('click', () => toggleAccordion(id));
+            itemEl.querySelectorAll('.accordion-actions button').forEach(button => {
+                button.addEventListener('click', event => {
+                    event.stopPropagation();
+                    actions[button.dataset.action]();
+                });
+            });
+            itemEl.querySelector('.save-btn').addEventListener('click', () => saveConfig(id));
             accordionContainer.appendChild(itemEl);
 
             // Initialize mini editor for this item
             if (window.monaco) {
-                const editorId = `editor-${id.replace(/\s+/g, '-')}`;
+                const editorId = `editor-${id}`;
                 configEditors[id] = monaco.editor.create(document.getElementById(editorId), {
                     value: JSON.stringify(item.config, null, 2),
                     language: 'json',
@@ -353,10 +587,16 @@ async function updateLatencyResults() {
     }
 }
 
-function toggleAccordion(name) {
+// Fastest first, then failed configs, then configs that were never tested
+function compareLatencyResults(a, b) {
+    const rank = result => !result ? 2 : (result.latency === 'FAILED' ? 1 : 0);
+    return rank(a) - rank(b) || (rank(a) === 0 ? a.latency - b.latency : 0);
+}
+
+function toggleAccordion(id) {
     const items = document.querySelectorAll('.accordion-item');
     items.forEach(item => {
-        if (item.dataset.name === name) {
+        if (item.dataset.id === id) {
             const isOpening = !item.classList.contains('active');
             item.classList.toggle('active');
             
@@ -368,13 +608,70 @@ function toggleAccordion(name) {
             updateAutoUpdateIndicator();
             
             // Trigger layout for the editor inside
-            if (configEditors[name]) {
-                configEditors[name].layout();
+            if (configEditors[id]) {
+                configEditors[id].layout();
             }
         }
     });
 }
 
+// Show the share link and QR code for a config inside its accordion
+async function showSharePanel(id, name) {
+    const panel = document.getElementById(`share-${id}`);
+    if (!panel) return;
+
+    const item = document.querySelector(`.accordion-item[data-id="${id}"]`);
+    if (item && !item.classList.contains('active')) {
+        toggleAccordion(id);
+    }
+
+    panel.innerHTML = '<div class="share-loading">Loading...</div>';
+    panel.classList.add('show');
+
+    try {
+        const response = await authenticatedFetch(`/api/configs/${encodeURIComponent(name)}/export`);
+        const data = await response.json();
+        if (data.error) {
+            panel.innerHTML = `<div class="connection-error-message">${escapeHtml(data.error)}</div>`;
+            return;
+        }
+
+        // The QR endpoint needs the auth header, so load it as a blob
+        const qrResponse = await authenticatedFetch(`/api/configs/${encodeURIComponent(name)}/qr?format=svg`);
+        const qrUrl = URL.createObjectURL(await qrResponse.blob());
+
+        panel.innerHTML = `
+            <img class="share-qr" src="${qrUrl}" />
+            <div class="share-link-container">
+                <input type="text" class="share-link-input" readonly />
+                <button class="btn-secondary share-copy-btn">Copy</button>
+                <button class="btn-secondary share-download-btn">Download PNG</button>
+            </div>
+        `;
+        panel.querySelector('.share-qr').alt = `QR code for ${name}`;
+        const linkInput = panel.querySelector('.share-link-input');
+        linkInput.value = data.link;
+        panel.querySelector('.share-copy-btn').addEventListener('click', async () => {
+            linkInput.select();
+            try {
+                await navigator.clipboard.writeText(data.link);
+            } catch (e) {
+                document.execCommand('copy');
+            }
+        });
+        panel.querySelector('.share-download-btn').addEventListener('click', async () => {
+            const pngResponse = await authenticatedFetch(`/api/configs/${encodeURIComponent(name)}/qr?format=png`);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await pngResponse.blob());
+            link.download = `${name}.png`;
+            link.click();
+        });
+    } catch (error) {
+        console.error('Failed to export config:', error);
+        panel.innerHTML = '<div class="connection-error-message">Failed to export config</div>';
+    }
+}
+
 // Function to update the visual indicator for auto-update status
 function updateAutoUpdateIndicator() {
     return
@@ -400,8 +697,18 @@ function updateAutoUpdateIndicator() {
     }
 }
 
-async function addToConnections(id) {
-    const port = prompt('Enter base port (leave empty for default 1080):', '1080');
+async function addToConnections(configId, name) {
+    // Offer the first base port where all of this config's inbounds are free
+    let suggested = '';
+    try {
+        const response = await authenticatedFetch(`/api/ports/suggest?configId=${encodeURIComponent(configId)}`);
+        const data = await response.json();
+        if (data.basePort) suggested = String(data.basePort);
+    } catch (error) {
+        console.error('Failed to get port suggestion:', error);
+    }
+
+    const port = prompt('Enter base port (leave empty to pick a free one automatically):', suggested);
     if (port === null) return; // User cancelled
     
     const basePort = port.trim() === '' ? undefined : parseInt(port);
@@ -414,13 +721,13 @@ async function addToConnections(id) {
         const response = await authenticatedFetch('/api/connections', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name: id, basePort })
+            body: JSON.stringify({ configId, basePort })
         });
         const data = await response.json();
         if (data.error) {
             alert(data.error);
         } else {
-            alert(`Config "${id}" added to connections`);
+            alert(`Config "${name}" added to connections`);
             updateConnectionsList();
         }
     } catch (error) {
@@ -429,10 +736,10 @@ async function addToConnections(id) {
     }
 }
 
-async function deleteConfig(name) {
+async function deleteConfig(configId, name) {
     if (!confirm(`Are you sure you want to delete config "${name}"?`)) return;
     try {
-        const response = await authenticatedFetch(`/api/configs/${name}`, { method: 'DELETE' });
+        const response = await authenticatedFetch(`/api/v2/configs/${configId}`, { method: 'DELETE' });
         const data = await response.json();
         if (data.error) alert(data.error);
         updateLatencyResults();
@@ -441,13 +748,24 @@ async function deleteConfig(name) {
     }
 }
 
-async function saveConfig(originalName) {
-    const editor = configEditors[originalName];
+async function duplicateConfig(configId) {
+    try {
+        const response = await authenticatedFetch(`/api/v2/configs/${configId}/duplicate`, { method: 'POST' });
+        const data = await response.json();
+        if (data.error) alert(data.error);
+        updateLatencyResults();
+    } catch (error) {
+        console.error('Failed to duplicate config:', error);
+    }
+}
+
+async function saveConfig(configId) {
+    const editor = configEditors[configId];
     if (!editor) return;
 
     // Get new name from input field
-    const inputId = `config-name-${originalName.replace(/\s+/g, '-')}`;
-    const nameInput = document.getElementById(inputId);
+    const nameInput = document.getElementById(`config-name-${configId}`);
+    const originalName = nameInput.dataset.originalName;
     const newName = nameInput.value.trim();
 
     // Validate new name
@@ -468,10 +786,10 @@ async function saveConfig(originalName) {
     try {
         // First, rename if name has changed
         if (newName !== originalName) {
-            const renameResponse = await authenticatedFetch(`/api/configs/${originalName}`, {
+            const renameResponse = await authenticatedFetch(`/api/v2/configs/${configId}`, {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ newName: newName })
+                body: JSON.stringify({ name: newName })
             });
             const renameData = await renameResponse.json();
             if (renameData.error) {
@@ -480,22 +798,21 @@ async function saveConfig(originalName) {
                 nameInput.value = originalName;
                 return;
             }
-            // Update the originalName to newName for the config update
-            originalName = newName;
         }
 
         // Then, update the config content
-        const response = await authenticatedFetch(`/api/configs/${originalName}`, {
+        const response = await authenticatedFetch(`/api/v2/configs/${configId}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ config })
         });
         const data = await response.json();
         if (data.error) {
+            showValidationMarkers(editor, data.errors);
             alert(data.error);
         } else {
             // Close the accordion after successful save to resume auto-update
-            const accordionItem = document.querySelector(`.accordion-item[data-name="${originalName}"]`);
+            const accordionItem = document.querySelector(`.accordion-item[data-id="${configId}"]`);
             if (accordionItem) {
                 accordionItem.classList.remove('active');
                 // Update the flag
@@ -513,9 +830,83 @@ async function saveConfig(originalName) {
     }
 }
 
+// Latency badge text: median, plus p95 and success rate when several samples were taken
+function formatLatency(result) {
+    if (result.latency === 'FAILED') return 'FAILED';
+    const stats = result.stats;
+    if (!stats || stats.samples <= 1) return result.latency + ' ms';
+    return `${stats.median} ms · p95 ${stats.p95} ms · ${Math.round(stats.successRate * 100)}%`;
+}
+
+// Tooltip with the stats of every target
+function formatLatencyDetails(result) {
+    if (!result.targets) return '';
+    return result.targets.map(t => {
+        const ok = Math.round(t.successRate * 100);
+        return t.median === null
+            ? `${t.url}: FAILED (${t.samples} samples)`
+            : `${t.url}: min ${t.min} ms, median ${t.median} ms, p95 ${t.p95} ms, ${ok}% of ${t.samples} ok`;
+    }).join('\n');
+}
+
+// Inline SVG of the recent median latencies; failed runs are marked along the bottom edge
+const SPARKLINE_POINTS = 30;
+function renderSparkline(points) {
+    const recent = points.slice(-SPARKLINE_POINTS);
+    if (recent.length < 2) return '';
+
+    const width = 90;
+    const height = 22;
+    const values = recent.filter(p => p.latency !== null).map(p => p.latency);
+    const max = values.length > 0 ? Math.max(...values) : 1;
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const range = max - min || 1;
+    const x = index => (index / (recent.length - 1)) * (width - 4) + 2;
+    const y = latency => height - 2 - ((latency - min) / range) * (height - 4);
+
+    const line = recent
+        .map((p, index) => p.latency === null ? null : `${x(index).toFixed(1)},${y(p.latency).toFixed(1)}`)
+        .filter(Boolean)
+        .join(' ');
+    const failures = recent
+        .map((p, index) => p.latency === null ? `<circle cx="${x(index).toFixed(1)}" cy="${height - 2}" r="1.5" class="sparkline-failure"></circle>` : '')
+        .join('');
+    const first = new Date(recent[0].timestamp).toLocaleString();
+    const last = new Date(recent[recent.length - 1].timestamp).toLocaleString();
+
+    return `<svg class="latency-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <title>${recent.length} runs from ${first} to ${last}, ${values.length > 0 ? `${min}-${max} ms` : 'all failed'}</title>
+        <polyline points="${line}"></polyline>${failures}
+    </svg>`;
+}
+
+async function loadTestProfiles() {
+    try {
+        const response = await authenticatedFetch('/api/test-profiles');
+        const data = await response.json();
+        const selected = testProfileSelect.value;
+        testProfileSelect.innerHTML = data.profiles.map(p =>
+            `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)} (${p.targets.length} × ${p.samples})</option>`
+        ).join('');
+        if (selected && data.profiles.some(p => p.id === selected)) {
+            testProfileSelect.value = selected;
+        }
+    } catch (error) {
+        console.error('Failed to load test profiles:', error);
+    }
+}
+
+function latencyTestOptions() {
+    return {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profileId: testProfileSelect.value || undefined })
+    };
+}
+
 const runLatencyTest = async () => {
     try {
-        await authenticatedFetch('/api/test-latency', { method: 'POST' });
+        await authenticatedFetch('/api/test-latency', latencyTestOptions());
         updateLatencyResults();
     } catch (error) {
         console.error('Failed to start latency test:', error);
@@ -524,18 +915,32 @@ const runLatencyTest = async () => {
 
 async function testSingleConfig(id) {
     try {
-        await authenticatedFetch(`/api/test-latency/${id}`, { method: 'POST' });
+        await authenticatedFetch(`/api/test-latency/${id}`, latencyTestOptions());
         updateLatencyResults();
     } catch (error) {
         console.error('Failed to start single config latency test:', error);
     }
 }
 
+async function cancelLatencyTests() {
+    cancelLatencyBtn.disabled = true;
+    try {
+        await authenticatedFetch('/api/test-latency/cancel', { method: 'POST' });
+        updateLatencyResults();
+    } catch (error) {
+        console.error('Failed to cancel latency tests:', error);
+    } finally {
+        cancelLatencyBtn.disabled = false;
+    }
+}
+
 testLatencyBtn.addEventListener('click', runLatencyTest);
+cancelLatencyBtn.addEventListener('click', cancelLatencyTests);
 
 // Speed Test functionality
 const startSpeedTestBtn = document.getElementById('startSpeedTestBtn');
 const resetSpeedTestBtn = document.getElementById('resetSpeedTestBtn');
+const cancelSpeedTestBtn = document.getElementById('cancelSpeedTestBtn');
 const speedTestPhase = document.getElementById('speedTestPhase');
 const speedTestProgress = document.getElementById('speedTestProgress');
 const speedTestProgressText = document.getElementById('speedTestProgressText');
@@ -660,10 +1065,14 @@ async function startSpeedTest() {
         // Start polling for results
         startSpeedTestBtn.disabled = true;
         resetSpeedTestBtn.disabled = true;
+        cancelSpeedTestBtn.disabled = false;
         speedTestError.classList.remove('show');
 
+        // Progress arrives over the event stream; poll only while it is down
         if (speedTestInterval) clearInterval(speedTestInterval);
-        speedTestInterval = setInterval(updateSpeedTestResults, 500);
+        speedTestInterval = setInterval(() => {
+            if (!eventStreamConnected) updateSpeedTestResults();
+        }, 500);
     } catch (error) {
         console.error('Failed to start speed test:', error);
         showError(error.message || 'Failed to start speed test');
@@ -674,41 +1083,44 @@ async function updateSpeedTestResults() {
     try {
         const response = await authenticatedFetch('/api/speed-test');
         const data = await response.json();
-        const result = data.result;
-
-        // Update phase and progress
-        if (speedTestPhase) speedTestPhase.textContent = result.phase;
-        if (speedTestProgress) speedTestProgress.style.width = result.progress + '%';
-        if (speedTestProgressText) speedTestProgressText.textContent = Math.round(result.progress) + '%';
-
-        // Update metrics
-        if (downloadSpeedEl) downloadSpeedEl.textContent = result.downloadSpeed.toFixed(2);
-        if (uploadSpeedEl) uploadSpeedEl.textContent = result.uploadSpeed.toFixed(2);
-        if (pingValueEl) pingValueEl.textContent = result.ping.toFixed(0);
-        if (jitterValueEl) jitterValueEl.textContent = result.jitter.toFixed(0);
-
-        // Update charts with current values
-        if (result.downloadSpeed > 0) updateChart('downloadChart', result.downloadSpeed);
-        if (result.uploadSpeed > 0) updateChart('uploadChart', result.uploadSpeed);
-        if (result.ping > 0) updateChart('pingChart', result.ping);
-        if (result.jitter > 0) updateChart('jitterChart', result.jitter);
-
-        // Check if test is complete or failed
-        if (result.status === 'completed' || result.status === 'failed') {
-            clearInterval(speedTestInterval);
-            speedTestInterval = null;
-            startSpeedTestBtn.disabled = false;
-            resetSpeedTestBtn.disabled = false;
-
-            if (result.status === 'failed' && result.error) {
-                showError(result.error);
-            }
-        }
+        renderSpeedTestResult(data.result);
     } catch (error) {
         console.error('Failed to fetch speed test results:', error);
     }
 }
 
+function renderSpeedTestResult(result) {
+    // Update phase and progress
+    if (speedTestPhase) speedTestPhase.textContent = result.phase;
+    if (speedTestProgress) speedTestProgress.style.width = result.progress + '%';
+    if (speedTestProgressText) speedTestProgressText.textContent = Math.round(result.progress) + '%';
+
+    // Update metrics
+    if (downloadSpeedEl) downloadSpeedEl.textContent = result.downloadSpeed.toFixed(2);
+    if (uploadSpeedEl) uploadSpeedEl.textContent = result.uploadSpeed.toFixed(2);
+    if (pingValueEl) pingValueEl.textContent = result.ping.toFixed(0);
+    if (jitterValueEl) jitterValueEl.textContent = result.jitter.toFixed(0);
+
+    // Update charts with current values
+    if (result.downloadSpeed > 0) updateChart('downloadChart', result.downloadSpeed);
+    if (result.uploadSpeed > 0) updateChart('uploadChart', result.uploadSpeed);
+    if (result.ping > 0) updateChart('pingChart', result.ping);
+    if (result.jitter > 0) updateChart('jitterChart', result.jitter);
+
+    // Check if test is complete or failed
+    if (result.status === 'completed' || result.status === 'failed' || result.status === 'cancelled') {
+        clearInterval(speedTestInterval);
+        speedTestInterval = null;
+        startSpeedTestBtn.disabled = false;
+        resetSpeedTestBtn.disabled = false;
+        cancelSpeedTestBtn.disabled = true;
+
+        if (result.status === 'failed' && result.error) {
+            showError(result.error);
+        }
+    }
+}
+
 function resetSpeedTestUI() {
     if (speedTestPhase) speedTestPhase.textContent = 'Ready';
     if (speedTestProgress) speedTestProgress.style.width = '0%';
@@ -730,6 +1142,16 @@ async function resetSpeedTest() {
     }
 }
 
+async function cancelSpeedTest() {
+    cancelSpeedTestBtn.disabled = true;
+    try {
+        await authenticatedFetch('/api/speed-test/cancel', { method: 'POST' });
+        updateSpeedTestResults();
+    } catch (error) {
+        console.error('Failed to cancel speed test:', error);
+    }
+}
+
 function showError(message) {
     if (speedTestError) {
         speedTestError.textContent = message;
@@ -744,6 +1166,9 @@ if (startSpeedTestBtn) {
 if (resetSpeedTestBtn) {
     resetSpeedTestBtn.addEventListener('click', resetSpeedTest);
 }
+if (cancelSpeedTestBtn) {
+    cancelSpeedTestBtn.addEventListener('click', cancelSpeedTest);
+}
 
 // Initialize charts when page loads
 document.addEventListener('DOMContentLoaded', () => {
@@ -754,9 +1179,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function updateConnectionsList() {
     try {
-        const response = await authenticatedFetch('/api/connections');
+        const [response, statsResponse] = await Promise.all([
+            authenticatedFetch('/api/connections'),
+            authenticatedFetch('/api/connections/stats')
+        ]);
         const data = await response.json();
         const connections = data.connections || [];
+        const statsData = await statsResponse.json();
+        const trafficById = new Map((statsData.stats || []).map(s => [s.id, s]));
 
         if (connections.length === 0) {
             connectionsList.style.display = 'none';
@@ -775,18 +1205,22 @@ async function updateConnectionsList() {
             card.dataset.id = connection.id;
             card.draggable = true;
 
-            const statusClass = connection.status.toLowerCase();
+            const statusClass = connection.status.toLowerCase().replace(/\s+/g, '-');
             const statusText = connection.status;
             const duration = connection.connectionStartTime 
                 ? formatDuration(Date.now() - connection.connectionStartTime)
                 : '-';
+            const { healthText, healthClass } = formatHealth(connection);
+            const { trafficText, rateText } = formatTraffic(connection, trafficById.get(connection.id));
+            const { quotaText, quotaTitle } = formatQuota(connection.quota);
+            const restartText = formatRestarts(connection.restart);
 
             card.innerHTML = `
                 <div class="connection-card-header">
                     <div class="connection-card-title">
                         <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
                         <div class="connection-status-indicator ${statusClass}"></div>
-                        ${connection.name}
+                        ${escapeHtml(connection.name)}
                     </div>
                 </div>
                 <div class="connection-card-info">
@@ -807,7 +1241,7 @@ async function updateConnectionsList() {
                                 ${connection.status === 'Running' ? 'disabled' : ''}
                             />
                             <button 
-                                class="port-save-btn" 
+                                class="port-save-btn requires-admin" 
                                 onclick="saveConnectionPort('${connection.id}')"
                                 ${connection.status === 'Running' ? 'disabled' : ''}
                             >Save</button>
@@ -817,13 +1251,46 @@ async function updateConnectionsList() {
                         <span class="connection-info-label">Duration</span>
                         <span class="connection-info-value">${duration}</span>
                     </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Health</span>
+                        <span class="connection-info-value ${healthClass}" title="${connection.health && connection.health.lastError ? connection.health.lastError : ''}">${healthText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Traffic</span>
+                        <span class="connection-info-value connection-traffic" title="Uploaded / downloaded since start">${trafficText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Rate</span>
+                        <span class="connection-info-value connection-traffic">${rateText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Restarts</span>
+                        <span class="connection-info-value">${restartText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Quota</span>
+                        <span class="connection-info-value" title="${quotaTitle}">${quotaText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Autostart</span>
+                        <label class="autostart-toggle" title="Relaunch on server restart if it was running">
+                            <input 
+                                type="checkbox" 
+                                onchange="setConnectionAutostart('${connection.id}', this.checked)"
+                                ${connection.autostart !== false ? 'checked' : ''}
+                            />
+                            <span>${connection.autostart !== false ? 'On' : 'Off'}</span>
+                        </label>
+                    </div>
                 </div>
-                ${connection.error ? `<div class="connection-error-message">${connection.error}</div>` : ''}
+                ${connection.error ? `<div class="connection-error-message">${escapeHtml(connection.error)}</div>` : ''}
                 <div class="connection-card-actions">
-                    <button class="connection-action-btn connection-start-btn" onclick="startConnection('${connection.id}')" ${connection.status === 'Running' || connection.status === 'Starting' ? 'disabled' : ''}>Start</button>
-                    <button class="connection-action-btn connection-stop-btn" onclick="stopConnection('${connection.id}')" ${connection.status === 'Stopped' ? 'disabled' : ''}>Stop</button>
-                    <button class="connection-action-btn connection-restart-btn" onclick="restartConnection('${connection.id}')" ${connection.status === 'Stopped' ? 'disabled' : ''}>Restart</button>
-                    <button class="connection-action-btn connection-remove-btn" onclick="removeConnection('${connection.id}')">Remove</button>
+                    <button class="connection-action-btn connection-start-btn requires-operator" onclick="startConnection('${connection.id}')" ${connection.status === 'Running' || connection.status === 'Starting' ? 'disabled' : ''}>Start</button>
+                    <button class="connection-action-btn connection-stop-btn requires-operator" onclick="stopConnection('${connection.id}')" ${connection.status === 'Stopped' ? 'disabled' : ''}>Stop</button>
+                    <button class="connection-action-btn connection-restart-btn requires-operator" onclick="restartConnection('${connection.id}')" ${connection.status === 'Stopped' ? 'disabled' : ''}>Restart</button>
+                    <button class="connection-action-btn connection-quota-btn requires-admin" onclick="editConnectionQuota('${connection.id}')">Quota</button>
+                    ${connection.quota && connection.quota.limitBytes ? `<button class="connection-action-btn connection-quota-btn requires-admin" onclick="resetConnectionQuota('${connection.id}')">Reset Usage</button>` : ''}
+                    <button class="connection-action-btn connection-remove-btn requires-admin" onclick="removeConnection('${connection.id}')">Remove</button>
                 </div>
             `;
 
@@ -841,6 +1308,71 @@ async function updateConnectionsList() {
     }
 }
 
+function formatHealth(connection) {
+    const health = connection.health;
+    if (connection.status !== 'Running' || !health || !health.lastCheck) {
+        return { healthText: '-', healthClass: '' };
+    }
+    if (!health.healthy) {
+        return { healthText: 'Unhealthy', healthClass: 'health-bad' };
+    }
+    if (health.consecutiveFailures > 0) {
+        return { healthText: `${health.consecutiveFailures} failed check${health.consecutiveFailures > 1 ? 's' : ''}`, healthClass: 'health-warn' };
+    }
+    return { healthText: `Healthy (${health.lastLatency} ms)`, healthClass: 'health-good' };
+}
+
+function formatTraffic(connection, traffic) {
+    if (connection.status !== 'Running' || !traffic || !traffic.lastUpdated) {
+        return { trafficText: '-', rateText: '-' };
+    }
+    return {
+        trafficText: `↑ ${formatBytes(traffic.total.uplink)} ↓ ${formatBytes(traffic.total.downlink)}`,
+        rateText: `↑ ${formatBytes(traffic.rate.uplink)}/s ↓ ${formatBytes(traffic.rate.downlink)}/s`
+    };
+}
+
+function formatRestarts(restart) {
+    if (!restart) return '0';
+    let text = `${restart.totalRestarts}`;
+    if (restart.nextRestartAt) {
+        const seconds = Math.max(Math.ceil((restart.nextRestartAt - Date.now()) / 1000), 0);
+        text += ` (retry ${restart.attempts} in ${seconds}s)`;
+    }
+    return text;
+}
+
+function formatQuota(quota) {
+    if (!quota) {
+        return { quotaText: 'Unlimited', quotaTitle: '' };
+    }
+    const usage = quota.limitBytes
+        ? `${formatBytes(quota.usedBytes)} / ${formatBytes(quota.limitBytes)} per ${quota.period}`
+        : `${formatBytes(quota.usedBytes)} this ${quota.period}`;
+    const expiry = quota.expiresAt ? `Expires ${new Date(quota.expiresAt).toLocaleString()}` : '';
+    return { quotaText: usage, quotaTitle: expiry };
+}
+
+async function updateFailoverEvents() {
+    if (!failoverEventsList) return;
+    try {
+        const response = await authenticatedFetch('/api/failover/events');
+        const data = await response.json();
+        const events = (data.events || []).slice(0, 10);
+
+        failoverEventsSection.style.display = events.length > 0 ? 'block' : 'none';
+        failoverEventsList.innerHTML = events.map(event => `
+            <div class="failover-event ${event.success ? 'success' : 'failed'}">
+                <span class="failover-time">${new Date(event.timestamp).toLocaleString()}</span>
+                <span>Port ${event.basePort}: ${escapeHtml(event.fromName)} → ${event.toName ? escapeHtml(event.toName) : 'no candidate'}</span>
+                <span class="failover-reason">${escapeHtml(event.reason)}</span>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to fetch failover events:', error);
+    }
+}
+
 function formatDuration(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -924,6 +1456,73 @@ async function saveConnectionPort(id) {
     }
 }
 
+async function setConnectionAutostart(id, autostart) {
+    try {
+        const response = await authenticatedFetch(`/api/connections/${id}/autostart`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ autostart })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        }
+        updateConnectionsList();
+    } catch (error) {
+        console.error('Failed to update autostart:', error);
+        alert('Failed to update autostart');
+    }
+}
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+async function editConnectionQuota(id) {
+    try {
+        const current = await (await authenticatedFetch(`/api/connections/${id}/quota`)).json();
+        const quota = current.quota || {};
+
+        const limit = prompt('Traffic limit in GB (leave empty for unlimited):', quota.limitBytes ? String(+(quota.limitBytes / BYTES_PER_GB).toFixed(3)) : '');
+        if (limit === null) return;
+        if (limit.trim() !== '' && !(parseFloat(limit) > 0)) {
+            alert('Traffic limit must be a positive number');
+            return;
+        }
+        const period = prompt('Quota period (day or month):', quota.period || 'month');
+        if (period === null) return;
+        const expires = prompt('Expiry date, YYYY-MM-DD (leave empty for none):', quota.expiresAt ? new Date(quota.expiresAt).toISOString().slice(0, 10) : '');
+        if (expires === null) return;
+
+        const response = await authenticatedFetch(`/api/connections/${id}/quota`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                limitBytes: limit.trim() === '' ? null : Math.round(parseFloat(limit) * BYTES_PER_GB),
+                period: period.trim(),
+                expiresAt: expires.trim() === '' ? null : expires.trim()
+            })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        }
+        updateConnectionsList();
+    } catch (error) {
+        console.error('Failed to update quota:', error);
+        alert('Failed to update quota');
+    }
+}
+
+async function resetConnectionQuota(id) {
+    if (!confirm('Reset the traffic counted for this quota period?')) return;
+    try {
+        await authenticatedFetch(`/api/connections/${id}/quota/reset`, { method: 'POST' });
+        updateConnectionsList();
+    } catch (error) {
+        console.error('Failed to reset quota:', error);
+        alert('Failed to reset quota');
+    }
+}
+
 async function startAllConnections() {
     try {
         await authenticatedFetch('/api/connections/start-all', { method: 'POST' });
@@ -1012,17 +1611,121 @@ if (stopAllConnectionsBtn) {
     stopAllConnectionsBtn.addEventListener('click', stopAllConnections);
 }
 
-// Polling
-setInterval(updateStatusSummary, 2000);
-setInterval(updateLogs, 1000);
-setInterval(updateLatencyResults, 1000); // Slower polling for configs to avoid editor flickering
-setInterval(updateConnectionsList, 3000); // Poll connections list
+// ==================== Live Updates ====================
+
+// The server pushes changes over /api/events. EventSource cannot send the
+// Authorization header, so the stream is read through fetch instead.
+const EVENT_STREAM_RETRY_DELAY = 3000;
+const REFRESH_DEBOUNCE = 300;
+const refreshTimers = {};
+
+// Collapse bursts of events (a batch of status changes, a latency batch) into one refresh
+function scheduleRefresh(key, refresh) {
+    if (refreshTimers[key]) return;
+    refreshTimers[key] = setTimeout(() => {
+        delete refreshTimers[key];
+        refresh();
+    }, REFRESH_DEBOUNCE);
+}
+
+function refreshConnections() {
+    updateConnectionsList();
+    updateStatusSummary();
+}
+
+function handleStreamEvent(type, data) {
+    switch (type) {
+        case 'log':
+            appendLogs(data.lines);
+            break;
+        case 'connection':
+        case 'connections':
+        case 'traffic':
+            scheduleRefresh('connections', refreshConnections);
+            break;
+        case 'latency':
+            scheduleRefresh('latency', updateLatencyResults);
+            break;
+        case 'speed-test':
+            // Only follow a test this page started; other tabs keep their own view
+            if (speedTestInterval) renderSpeedTestResult(data.result);
+            break;
+        case 'resources':
+            if (resourcesLastUpdatedEl) renderServerResources(data);
+            break;
+    }
+}
+
+// One message is a block of "field: value" lines; data lines are joined with newlines
+function parseStreamMessage(block) {
+    let type = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length === 0) return;
+    try {
+        handleStreamEvent(type, JSON.parse(dataLines.join('\n')));
+    } catch (error) {
+        console.error(`Failed to handle ${type} event:`, error);
+    }
+}
+
+async function connectEventStream() {
+    try {
+        const response = await authenticatedFetch('/api/events');
+        if (!response.ok || !response.body) {
+            throw new Error(`Event stream failed with status ${response.status}`);
+        }
+        eventStreamConnected = true;
+
+        // Catch up on whatever changed while the stream was down
+        updateLogs();
+        refreshConnections();
+        updateLatencyResults();
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += value.replace(/\r\n?/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+                parseStreamMessage(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+            }
+        }
+    } catch (error) {
+        console.error('Event stream disconnected:', error);
+    }
+    eventStreamConnected = false;
+    setTimeout(connectEventStream, EVENT_STREAM_RETRY_DELAY);
+}
+
+// Run a refresh on an interval only while the event stream is down
+function pollWhileDisconnected(refresh, interval) {
+    setInterval(() => {
+        if (!eventStreamConnected) refresh();
+    }, interval);
+}
+
+// Polling (fallback for when the event stream is unavailable)
+pollWhileDisconnected(updateStatusSummary, 2000);
+pollWhileDisconnected(updateLogs, 1000);
+pollWhileDisconnected(updateLatencyResults, 1000); // Slower polling for configs to avoid editor flickering
+pollWhileDisconnected(updateConnectionsList, 3000); // Poll connections list
+setInterval(updateFailoverEvents, 10000);
 
 // Initial load
 updateStatusSummary();
 updateLogs();
 setTimeout(updateLatencyResults, 1000); // Wait for Monaco to load
+loadTestProfiles();
 setTimeout(updateConnectionsList, 500); // Load connections list
+updateFailoverEvents();
+connectEventStream();
 
 // Go to Connections button
 if (goToConnectionsBtn) {
@@ -1031,19 +1734,763 @@ if (goToConnectionsBtn) {
     });
 }
 
-// ==================== Server Resources Functions ====================
+// ==================== Gateway Functions ====================
 
-// Resource monitoring elements
-const ramUsageEl = document.getElementById('ramUsage');
-const ramProgressEl = document.getElementById('ramProgress');
-const ramUsedEl = document.getElementById('ramUsed');
-const ramTotalEl = document.getElementById('ramTotal');
+const gatewayEnabledInput = document.getElementById('gatewayEnabled');
+const gatewayPortInput = document.getElementById('gatewayPort');
+const gatewayStrategySelect = document.getElementById('gatewayStrategy');
+const saveGatewayBtn = document.getElementById('saveGatewayBtn');
+const gatewayStatusEl = document.getElementById('gatewayStatus');
+const gatewayUpstreamsEl = document.getElementById('gatewayUpstreams');
+let gatewayFormLoaded = false;
 
-const cpuUsageEl = document.getElementById('cpuUsage');
-const cpuProgressEl = document.getElementById('cpuProgress');
-const cpuCoresEl = document.getElementById('cpuCores');
+async function updateGateway() {
+    if (!gatewayUpstreamsEl) return;
+    try {
+        const response = await authenticatedFetch('/api/gateway');
+        const data = await response.json();
 
-const diskUsageEl = document.getElementById('diskUsage');
+        // Only fill the form once so polling doesn't overwrite unsaved edits
+        if (!gatewayFormLoaded) {
+            gatewayEnabledInput.checked = data.config.enabled;
+            gatewayPortInput.value = data.config.port;
+            gatewayStrategySelect.value = data.config.strategy;
+            gatewayFormLoaded = true;
+        }
+
+        if (data.running) {
+            gatewayStatusEl.textContent = `Listening on ${data.config.listen}:${data.config.port} (HTTP + SOCKS5)`;
+            gatewayStatusEl.className = 'gateway-status health-good';
+        } else {
+            gatewayStatusEl.textContent = data.error ? `Stopped: ${data.error}` : 'Stopped';
+            gatewayStatusEl.className = `gateway-status ${data.error ? 'health-bad' : ''}`;
+        }
+
+        const upstreams = data.upstreams || [];
+        gatewayUpstreamsEl.innerHTML = upstreams.length === 0
+            ? '<p class="gateway-empty">No traffic forwarded yet.</p>'
+            : `
+                <table class="gateway-table">
+                    <thead>
+                        <tr><th>Upstream</th><th>Active</th><th>Total</th><th>Failed</th></tr>
+                    </thead>
+                    <tbody>
+                        ${upstreams.map(u => `
+                            <tr><td>${escapeHtml(u.name)}</td><td>${u.active}</td><td>${u.total}</td><td>${u.failed}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    } catch (error) {
+        console.error('Failed to fetch gateway:', error);
+    }
+}
+
+async function saveGateway() {
+    const port = parseInt(gatewayPortInput.value);
+    if (isNaN(port) || port < 1024 || port > 65535) {
+        alert('Please enter a valid port number (1024-65535)');
+        return;
+    }
+
+    try {
+        const response = await authenticatedFetch('/api/gateway', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled: gatewayEnabledInput.checked,
+                port,
+                strategy: gatewayStrategySelect.value
+            })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        }
+        gatewayFormLoaded = false;
+        updateGateway();
+    } catch (error) {
+        console.error('Failed to update gateway:', error);
+        alert('Failed to update gateway');
+    }
+}
+
+if (saveGatewayBtn) {
+    saveGatewayBtn.addEventListener('click', saveGateway);
+}
+
+updateGateway();
+setInterval(updateGateway, 3000);
+
+// ==================== Subscription Functions ====================
+
+const subscriptionsList = document.getElementById('subscriptionsList');
+const subscriptionNameInput = document.getElementById('subscriptionName');
+const subscriptionUrlInput = document.getElementById('subscriptionUrl');
+const subscriptionIntervalInput = document.getElementById('subscriptionInterval');
+const addSubscriptionBtn = document.getElementById('addSubscriptionBtn');
+
+async function updateSubscriptionsList() {
+    if (!subscriptionsList) return;
+    try {
+        const response = await authenticatedFetch('/api/subscriptions');
+        const data = await response.json();
+        const subscriptions = data.subscriptions || [];
+
+        subscriptionsList.innerHTML = '';
+
+        subscriptions.forEach(subscription => {
+            const card = document.createElement('div');
+            card.className = 'connection-card subscription-card';
+
+            const statusClass = subscription.refreshing ? 'starting' : (subscription.lastStatus === 'error' ? 'error' : (subscription.lastStatus === 'ok' ? 'running' : 'stopped'));
+            const statusText = subscription.refreshing ? 'Refreshing' : (subscription.lastStatus === 'error' ? 'Error' : (subscription.lastStatus === 'ok' ? 'OK' : 'Never refreshed'));
+            const lastRefresh = subscription.lastRefresh
+                ? `${formatDuration(Date.now() - subscription.lastRefresh)} ago`
+                : '-';
+            const interval = subscription.intervalMinutes > 0 ? `Every ${subscription.intervalMinutes} min` : 'Manual';
+
+            card.innerHTML = `
+                <div class="connection-card-header">
+                    <div class="connection-card-title">
+                        <div class="connection-status-indicator ${statusClass}"></div>
+                        ${escapeHtml(subscription.name)}
+                    </div>
+                </div>
+                <div class="subscription-url">${escapeHtml(subscription.url)}</div>
+                <div class="connection-card-info">
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Status</span>
+                        <span class="connection-info-value">${statusText}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Configs</span>
+                        <span class="connection-info-value">${subscription.configCount}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Last Refresh</span>
+                        <span class="connection-info-value">${lastRefresh}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Schedule</span>
+                        <span class="connection-info-value">${interval}</span>
+                    </div>
+                </div>
+                ${subscription.lastStatus === 'error' && subscription.lastError ? `<div class="connection-error-message">${escapeHtml(subscription.lastError)}</div>` : ''}
+                <div class="connection-card-actions">
+                    <button class="connection-action-btn connection-start-btn requires-operator" onclick="refreshSubscription('${subscription.id}')" ${subscription.refreshing ? 'disabled' : ''}>Refresh</button>
+                    <button class="connection-action-btn connection-remove-btn requires-admin" onclick="removeSubscription('${subscription.id}')">Remove</button>
+                </div>
+            `;
+
+            subscriptionsList.appendChild(card);
+        });
+    } catch (error) {
+        console.error('Failed to fetch subscriptions:', error);
+    }
+}
+
+async function addSubscription() {
+    const name = subscriptionNameInput.value.trim();
+    const url = subscriptionUrlInput.value.trim();
+    const intervalMinutes = parseInt(subscriptionIntervalInput.value);
+    if (!name || !url) {
+        alert('Please enter a name and URL');
+        return;
+    }
+    if (isNaN(intervalMinutes) || intervalMinutes < 0) {
+        alert('Please enter a valid refresh interval');
+        return;
+    }
+
+    addSubscriptionBtn.disabled = true;
+    try {
+        const response = await authenticatedFetch('/api/subscriptions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, url, intervalMinutes })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        } else {
+            subscriptionNameInput.value = '';
+            subscriptionUrlInput.value = '';
+            updateSubscriptionsList();
+            updateLatencyResults();
+        }
+    } catch (error) {
+        console.error('Failed to add subscription:', error);
+        alert('Failed to add subscription');
+    } finally {
+        addSubscriptionBtn.disabled = false;
+    }
+}
+
+async function refreshSubscription(id) {
+    try {
+        const refresh = authenticatedFetch(`/api/subscriptions/${id}/refresh`, { method: 'POST' });
+        updateSubscriptionsList();
+        await refresh;
+        updateSubscriptionsList();
+        updateLatencyResults();
+    } catch (error) {
+        console.error('Failed to refresh subscription:', error);
+        alert('Failed to refresh subscription');
+    }
+}
+
+async function removeSubscription(id) {
+    if (!confirm('Remove this subscription and all configs it owns?')) return;
+    try {
+        await authenticatedFetch(`/api/subscriptions/${id}`, { method: 'DELETE' });
+        updateSubscriptionsList();
+        updateLatencyResults();
+    } catch (error) {
+        console.error('Failed to remove subscription:', error);
+        alert('Failed to remove subscription');
+    }
+}
+
+if (addSubscriptionBtn) {
+    addSubscriptionBtn.addEventListener('click', addSubscription);
+}
+
+updateSubscriptionsList();
+setInterval(updateSubscriptionsList, 10000);
+
+// ==================== Latency Schedule Functions ====================
+
+const schedulesList = document.getElementById('schedulesList');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+
+function formatActiveHours(hours) {
+    if (!hours) return 'all day';
+    const pad = hour => String(hour).padStart(2, '0') + ':00';
+    return `${pad(hours.start)}-${pad(hours.end)}`;
+}
+
+async function updateSchedulesList() {
+    if (!schedulesList) return;
+    try {
+        const response = await authenticatedFetch('/api/schedules');
+        const data = await response.json();
+        const schedules = data.schedules || [];
+
+        schedulesList.innerHTML = schedules.map(schedule => {
+            const nextRun = schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : '-';
+            const lastRun = schedule.lastRun ? `${formatDuration(Date.now() - schedule.lastRun)} ago` : 'never';
+            const error = schedule.lastStatus === 'error' && schedule.lastError
+                ? ` · <span class="schedule-error">${escapeHtml(schedule.lastError)}</span>`
+                : '';
+            return `
+                <div class="schedule-row ${schedule.enabled ? '' : 'disabled'}">
+                    <span class="schedule-name">${escapeHtml(schedule.name)}</span>
+                    <span class="schedule-details">
+                        Every ${schedule.intervalMinutes} min, ${formatActiveHours(schedule.activeHours)}
+                        ${schedule.skipRunning ? '· skips running connections' : ''}
+                        · Next run: ${nextRun} · Last run: ${lastRun}${error}
+                    </span>
+                    <button class="test-btn requires-admin" onclick="toggleSchedule('${schedule.id}', ${!schedule.enabled})">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+                    <button class="delete-btn requires-admin" onclick="removeSchedule('${schedule.id}')">Delete</button>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to fetch schedules:', error);
+    }
+}
+
+// Schedule the selected test profile; hours are entered as "8-22" or left empty for all day
+async function addSchedule() {
+    const name = prompt('Schedule name:');
+    if (!name) return;
+    const intervalMinutes = parseInt(prompt('Run every how many minutes?', '60'));
+    if (isNaN(intervalMinutes) || intervalMinutes < 1) {
+        alert('Please enter a valid interval');
+        return;
+    }
+    const hoursInput = prompt('Only between these hours (e.g. 8-22), empty for all day:', '');
+    if (hoursInput === null) return;
+    let activeHours = null;
+    if (hoursInput.trim()) {
+        const match = hoursInput.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+        if (!match) {
+            alert('Please enter hours as start-end, e.g. 8-22');
+            return;
+        }
+        activeHours = { start: parseInt(match[1]), end: parseInt(match[2]) };
+    }
+    const skipRunning = confirm('Skip configs used by running connections?');
+
+    try {
+        const response = await authenticatedFetch('/api/schedules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, intervalMinutes, activeHours, skipRunning, profileId: testProfileSelect.value || undefined })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        } else {
+            updateSchedulesList();
+        }
+    } catch (error) {
+        console.error('Failed to add schedule:', error);
+        alert('Failed to add schedule');
+    }
+}
+
+async function toggleSchedule(id, enabled) {
+    try {
+        await authenticatedFetch(`/api/schedules/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        updateSchedulesList();
+    } catch (error) {
+        console.error('Failed to update schedule:', error);
+        alert('Failed to update schedule');
+    }
+}
+
+async function removeSchedule(id) {
+    if (!confirm('Delete this schedule?')) return;
+    try {
+        await authenticatedFetch(`/api/schedules/${id}`, { method: 'DELETE' });
+        updateSchedulesList();
+    } catch (error) {
+        console.error('Failed to delete schedule:', error);
+        alert('Failed to delete schedule');
+    }
+}
+
+if (addScheduleBtn) {
+    addScheduleBtn.addEventListener('click', addSchedule);
+}
+
+updateSchedulesList();
+setInterval(updateSchedulesList, 30000);
+
+// ==================== Session Functions ====================
+
+const sessionsList = document.getElementById('sessionsList');
+
+async function updateSessionsList() {
+    if (!sessionsList) return;
+    try {
+        const response = await authenticatedFetch('/api/sessions');
+        const data = await response.json();
+        const sessions = data.sessions || [];
+
+        sessionsList.innerHTML = '';
+
+        sessions.forEach(session => {
+            const card = document.createElement('div');
+            card.className = 'connection-card session-card';
+
+            card.innerHTML = `
+                <div class="connection-card-header">
+                    <div class="connection-card-title">
+                        ${session.current ? '<div class="connection-status-indicator running"></div>' : ''}
+                        ${session.userAgent ? escapeHtml(session.userAgent) : 'Unknown client'}
+                    </div>
+                </div>
+                <div class="connection-card-info">
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">IP</span>
+                        <span class="connection-info-value">${session.ip || '-'}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Signed In</span>
+                        <span class="connection-info-value">${new Date(session.createdAt).toLocaleString()}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Last Active</span>
+                        <span class="connection-info-value">${session.current ? 'Now' : `${formatDuration(Date.now() - session.lastSeenAt)} ago`}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Expires</span>
+                        <span class="connection-info-value">${new Date(session.expiresAt).toLocaleString()}</span>
+                    </div>
+                </div>
+                <div class="connection-card-actions">
+                    ${session.current
+                        ? '<span class="session-current">This session</span>'
+                        : `<button class="connection-action-btn connection-remove-btn" onclick="revokeSession('${session.id}')">Revoke</button>`}
+                </div>
+            `;
+
+            sessionsList.appendChild(card);
+        });
+    } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+    }
+}
+
+async function revokeSession(id) {
+    if (!confirm('Sign this session out?')) return;
+    try {
+        const response = await authenticatedFetch(`/api/sessions/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        updateSessionsList();
+    } catch (error) {
+        console.error('Failed to revoke session:', error);
+        alert('Failed to revoke session');
+    }
+}
+
+setInterval(updateSessionsList, 60000);
+
+// ==================== API Token Functions ====================
+
+const tokensList = document.getElementById('tokensList');
+const createTokenBtn = document.getElementById('createTokenBtn');
+const TOKEN_SCOPES = { read: 'viewer', control: 'operator', write: 'admin' };
+
+async function updateTokensList() {
+    if (!tokensList) return;
+    try {
+        const response = await authenticatedFetch('/api/tokens');
+        const data = await response.json();
+        const tokens = data.tokens || [];
+
+        tokensList.innerHTML = '';
+
+        tokens.forEach(token => {
+            const card = document.createElement('div');
+            card.className = 'connection-card token-card';
+            const expired = token.expiresAt !== null && token.expiresAt < Date.now();
+            const owner = currentUser && token.userId !== currentUser.id ? ` <span class="user-self">(${token.username || 'unknown user'})</span>` : '';
+
+            card.innerHTML = `
+                <div class="connection-card-header">
+                    <div class="connection-card-title">
+                        <div class="connection-status-indicator ${expired ? 'error' : 'running'}"></div>
+                        ${escapeHtml(token.name)}${owner}
+                    </div>
+                    <span class="user-role">${token.scope}</span>
+                </div>
+                <div class="connection-card-info">
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Token</span>
+                        <span class="connection-info-value">xat_…${token.hint}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Created</span>
+                        <span class="connection-info-value">${new Date(token.createdAt).toLocaleString()}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Last Used</span>
+                        <span class="connection-info-value">${token.lastUsedAt ? `${formatDuration(Date.now() - token.lastUsedAt)} ago${token.lastUsedIp ? ` from ${token.lastUsedIp}` : ''}` : 'Never'}</span>
+                    </div>
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Expires</span>
+                        <span class="connection-info-value">${token.expiresAt ? (expired ? 'Expired' : new Date(token.expiresAt).toLocaleString()) : 'Never'}</span>
+                    </div>
+                </div>
+                <div class="connection-card-actions">
+                    <button class="connection-action-btn connection-remove-btn">Revoke</button>
+                </div>
+            `;
+            // Token names are free text from any user, so keep them out of inline handlers
+            card.querySelector('.connection-remove-btn').addEventListener('click', () => revokeToken(token.id, token.name));
+
+            tokensList.appendChild(card);
+        });
+    } catch (error) {
+        console.error('Failed to fetch API tokens:', error);
+    }
+}
+
+async function createToken() {
+    const name = prompt('Token name (e.g. nightly-ci):');
+    if (!name || !name.trim()) return;
+
+    // Offer only the scopes the current role can grant
+    const allowed = Object.keys(TOKEN_SCOPES)
+        .filter(scope => USER_ROLES.indexOf(TOKEN_SCOPES[scope]) <= USER_ROLES.indexOf(currentUser ? currentUser.role : 'viewer'));
+    const scope = prompt(`Scope (${allowed.join(', ')}):\nread = read-only, control = start/stop connections and run tests, write = also change configs and settings`, allowed[0]);
+    if (scope === null) return;
+
+    const days = prompt('Expires after how many days? (leave empty for never)', '');
+    if (days === null) return;
+    const expiresInDays = days.trim() === '' ? null : parseInt(days);
+    if (expiresInDays !== null && (isNaN(expiresInDays) || expiresInDays < 1)) {
+        alert('Please enter a positive number of days');
+        return;
+    }
+
+    try {
+        const response = await authenticatedFetch('/api/tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim(), scope: scope.trim(), expiresInDays })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        prompt('Copy your API token now; it will not be shown again:', data.token);
+        updateTokensList();
+    } catch (error) {
+        console.error('Failed to create API token:', error);
+        alert('Failed to create API token');
+    }
+}
+
+async function revokeToken(id, name) {
+    if (!confirm(`Revoke API token ${name}? Scripts using it will stop working.`)) return;
+    try {
+        const response = await authenticatedFetch(`/api/tokens/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        updateTokensList();
+    } catch (error) {
+        console.error('Failed to revoke API token:', error);
+        alert('Failed to revoke API token');
+    }
+}
+
+if (createTokenBtn) {
+    createTokenBtn.addEventListener('click', createToken);
+}
+setInterval(updateTokensList, 60000);
+
+// ==================== User Management Functions ====================
+
+const usersList = document.getElementById('usersList');
+const newUsernameInput = document.getElementById('newUsername');
+const newUserPasswordInput = document.getElementById('newUserPassword');
+const newUserRoleSelect = document.getElementById('newUserRole');
+const addUserBtn = document.getElementById('addUserBtn');
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+
+async function updateUsersList() {
+    if (!usersList) return;
+    try {
+        const response = await authenticatedFetch('/api/users');
+        const data = await response.json();
+        const users = data.users || [];
+
+        usersList.innerHTML = '';
+
+        users.forEach(user => {
+            const card = document.createElement('div');
+            card.className = 'connection-card user-card';
+            const isSelf = currentUser && currentUser.id === user.id;
+
+            card.innerHTML = `
+                <div class="connection-card-header">
+                    <div class="connection-card-title">
+                        ${escapeHtml(user.username)}${isSelf ? ' <span class="user-self">(you)</span>' : ''}
+                    </div>
+                    <span class="user-role user-role-${escapeHtml(user.role)}">${escapeHtml(user.role)}</span>
+                </div>
+                <div class="connection-card-info">
+                    <div class="connection-info-item">
+                        <span class="connection-info-label">Created</span>
+                        <span class="connection-info-value">${new Date(user.createdAt).toLocaleString()}</span>
+                    </div>
+                </div>
+                <div class="connection-card-actions">
+                    <button class="connection-action-btn" data-action="role">Change Role</button>
+                    <button class="connection-action-btn" data-action="password">Reset Password</button>
+                    <button class="connection-action-btn connection-remove-btn" data-action="remove">Remove</button>
+                </div>
+            `;
+
+            const actions = {
+                role: () => changeUserRole(user.id, user.role),
+                password: () => resetUserPassword(user.id, user.username),
+                remove: () => removeUser(user.id, user.username)
+            };
+            card.querySelectorAll('.connection-card-actions button').forEach(button => {
+                button.addEventListener('click', () => actions[button.dataset.action]());
+            });
+
+            usersList.appendChild(card);
+        });
+    } catch (error) {
+        console.error('Failed to fetch users:', error);
+    }
+}
+
+async function updateUser(id, updates) {
+    try {
+        const response = await authenticatedFetch(`/api/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return false;
+        }
+        updateUsersList();
+        return true;
+    } catch (error) {
+        console.error('Failed to update user:', error);
+        alert('Failed to update user');
+        return false;
+    }
+}
+
+async function addUser() {
+    const username = newUsernameInput.value.trim();
+    const password = newUserPasswordInput.value;
+    const role = newUserRoleSelect.value;
+    if (!username || !password) {
+        alert('Please enter a username and password');
+        return;
+    }
+
+    addUserBtn.disabled = true;
+    try {
+        const response = await authenticatedFetch('/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password, role })
+        });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+        } else {
+            newUsernameInput.value = '';
+            newUserPasswordInput.value = '';
+            updateUsersList();
+        }
+    } catch (error) {
+        console.error('Failed to add user:', error);
+        alert('Failed to add user');
+    } finally {
+        addUserBtn.disabled = false;
+    }
+}
+
+async function changeUserRole(id, currentRole) {
+    const role = prompt(`New role (${USER_ROLES.join(', ')}):`, currentRole);
+    if (role === null || role.trim() === currentRole) return;
+    await updateUser(id, { role: role.trim() });
+}
+
+async function resetUserPassword(id, username) {
+    const password = prompt(`New password for ${username} (at least 8 characters):`);
+    if (!password) return;
+    if (await updateUser(id, { password })) {
+        alert(`Password for ${username} updated`);
+    }
+}
+
+async function removeUser(id, username) {
+    if (!confirm(`Remove user ${username}?`)) return;
+    try {
+        const response = await authenticatedFetch(`/api/users/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        updateUsersList();
+    } catch (error) {
+        console.error('Failed to remove user:', error);
+        alert('Failed to remove user');
+    }
+}
+
+if (addUserBtn) {
+    addUserBtn.addEventListener('click', addUser);
+}
+
+// ==================== Audit Log Functions ====================
+
+const auditList = document.getElementById('auditList');
+const auditActionFilter = document.getElementById('auditActionFilter');
+const auditActorFilter = document.getElementById('auditActorFilter');
+const refreshAuditBtn = document.getElementById('refreshAuditBtn');
+
+function formatAuditDetails(details) {
+    if (!details) return '';
+    return Object.entries(details)
+        .map(([key, value]) => `${key}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(', ');
+}
+
+async function updateAuditLog() {
+    if (!auditList) return;
+    const params = new URLSearchParams({ limit: '200' });
+    if (auditActionFilter.value) params.set('action', auditActionFilter.value);
+    if (auditActorFilter.value.trim()) params.set('actor', auditActorFilter.value.trim());
+
+    try {
+        const response = await authenticatedFetch(`/api/audit?${params}`);
+        const data = await response.json();
+        if (data.error) {
+            auditList.innerHTML = `<p class="gateway-empty">${escapeHtml(data.error)}</p>`;
+            return;
+        }
+        const entries = data.entries || [];
+
+        auditList.innerHTML = entries.length === 0
+            ? '<p class="gateway-empty">No matching entries.</p>'
+            : `
+                <table class="audit-table">
+                    <thead>
+                        <tr><th>Time</th><th>Action</th><th>User</th><th>IP</th><th>Target</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td class="${entry.action.startsWith('login.') ? 'audit-failed' : ''}">${escapeHtml(entry.action)}</td>
+                                <td>${escapeHtml(entry.actor || '-')}${entry.apiToken ? `<div class="audit-details">token: ${escapeHtml(entry.apiToken)}</div>` : ''}</td>
+                                <td>${escapeHtml(entry.ip || '-')}</td>
+                                <td>${escapeHtml(entry.target || '')}<div class="audit-details">${escapeHtml(formatAuditDetails(entry.details))}</div></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    } catch (error) {
+        console.error('Failed to fetch audit log:', error);
+    }
+}
+
+if (refreshAuditBtn) {
+    refreshAuditBtn.addEventListener('click', updateAuditLog);
+}
+if (auditActionFilter) {
+    auditActionFilter.addEventListener('change', updateAuditLog);
+}
+if (auditActorFilter) {
+    auditActorFilter.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') updateAuditLog();
+    });
+}
+
+// ==================== Server Resources Functions ====================
+
+// Resource monitoring elements
+const ramUsageEl = document.getElementById('ramUsage');
+const ramProgressEl = document.getElementById('ramProgress');
+const ramUsedEl = document.getElementById('ramUsed');
+const ramTotalEl = document.getElementById('ramTotal');
+
+const cpuUsageEl = document.getElementById('cpuUsage');
+const cpuProgressEl = document.getElementById('cpuProgress');
+const cpuCoresEl = document.getElementById('cpuCores');
+
+const diskUsageEl = document.getElementById('diskUsage');
 const diskProgressEl = document.getElementById('diskProgress');
 const diskUsedEl = document.getElementById('diskUsed');
 const diskTotalEl = document.getElementById('diskTotal');
@@ -1086,61 +2533,7 @@ async function updateServerResources() {
     try {
         const response = await authenticatedFetch('/api/resources');
         const data = await response.json();
-        
-        // Update RAM
-        if (data.memory) {
-            const { used, total, percentage } = data.memory;
-            const totalGB = (total / (1024 * 1024 * 1024)).toFixed(1);
-            const usedGB = (used / (1024 * 1024 * 1024)).toFixed(2);
-            
-            if (ramUsageEl) ramUsageEl.textContent = percentage + '%';
-            if (ramProgressEl) ramProgressEl.style.width = percentage + '%';
-            if (ramUsedEl) ramUsedEl.textContent = usedGB + ' GB';
-            if (ramTotalEl) ramTotalEl.textContent = '/ ' + totalGB + ' GB';
-            
-            updateResourceState('ramProgress', percentage);
-        }
-        
-        // Update CPU
-        if (data.cpu) {
-            const { usage, cores } = data.cpu;
-            
-            if (cpuUsageEl) cpuUsageEl.textContent = usage + '%';
-            if (cpuProgressEl) cpuProgressEl.style.width = usage + '%';
-            if (cpuCoresEl) cpuCoresEl.textContent = cores + ' Core' + (cores > 1 ? 's' : '');
-            
-            updateResourceState('cpuProgress', usage);
-        }
-        
-        // Update Disk
-        if (data.disk) {
-            const { used, total, percentage } = data.disk;
-            const totalGB = (total / (1024 * 1024 * 1024)).toFixed(1);
-            const usedGB = (used / (1024 * 1024 * 1024)).toFixed(2);
-            
-            if (diskUsageEl) diskUsageEl.textContent = percentage + '%';
-            if (diskProgressEl) diskProgressEl.style.width = percentage + '%';
-            if (diskUsedEl) usedGB + ' GB';
-            if (diskTotalEl) '/ ' + totalGB + ' GB';
-            
-            updateResourceState('diskProgress', percentage);
-        }
-        
-        // Update Network
-        if (data.network) {
-            const { connections, inbound, outbound } = data.network;
-            
-            if (networkConnectionsEl) networkConnectionsEl.textContent = formatNumber(connections);
-            if (networkInboundEl) networkInboundEl.textContent = formatBytes(inbound);
-            if (networkOutboundEl) networkOutboundEl.textContent = formatBytes(outbound);
-        }
-        
-        // Update timestamp
-        if (resourcesLastUpdatedEl) {
-            const now = new Date();
-            resourcesLastUpdatedEl.textContent = now.toLocaleTimeString();
-        }
-        
+        renderServerResources(data);
     } catch (error) {
         console.error('Failed to fetch server resources:', error);
         // Set default values on error
@@ -1151,6 +2544,62 @@ async function updateServerResources() {
     }
 }
 
+function renderServerResources(data) {
+    // Update RAM
+    if (data.memory) {
+        const { used, total, percentage } = data.memory;
+        const totalGB = (total / (1024 * 1024 * 1024)).toFixed(1);
+        const usedGB = (used / (1024 * 1024 * 1024)).toFixed(2);
+        
+        if (ramUsageEl) ramUsageEl.textContent = percentage + '%';
+        if (ramProgressEl) ramProgressEl.style.width = percentage + '%';
+        if (ramUsedEl) ramUsedEl.textContent = usedGB + ' GB';
+        if (ramTotalEl) ramTotalEl.textContent = '/ ' + totalGB + ' GB';
+        
+        updateResourceState('ramProgress', percentage);
+    }
+    
+    // Update CPU
+    if (data.cpu) {
+        const { usage, cores } = data.cpu;
+        
+        if (cpuUsageEl) cpuUsageEl.textContent = usage + '%';
+        if (cpuProgressEl) cpuProgressEl.style.width = usage + '%';
+        if (cpuCoresEl) cpuCoresEl.textContent = cores + ' Core' + (cores > 1 ? 's' : '');
+        
+        updateResourceState('cpuProgress', usage);
+    }
+    
+    // Update Disk
+    if (data.disk) {
+        const { used, total, percentage } = data.disk;
+        const totalGB = (total / (1024 * 1024 * 1024)).toFixed(1);
+        const usedGB = (used / (1024 * 1024 * 1024)).toFixed(2);
+        
+        if (diskUsageEl) diskUsageEl.textContent = percentage + '%';
+        if (diskProgressEl) diskProgressEl.style.width = percentage + '%';
+        if (diskUsedEl) usedGB + ' GB';
+        if (diskTotalEl) '/ ' + totalGB + ' GB';
+        
+        updateResourceState('diskProgress', percentage);
+    }
+    
+    // Update Network
+    if (data.network) {
+        const { connections, inbound, outbound } = data.network;
+        
+        if (networkConnectionsEl) networkConnectionsEl.textContent = formatNumber(connections);
+        if (networkInboundEl) networkInboundEl.textContent = formatBytes(inbound);
+        if (networkOutboundEl) networkOutboundEl.textContent = formatBytes(outbound);
+    }
+    
+    // Update timestamp
+    if (resourcesLastUpdatedEl) {
+        const now = new Date();
+        resourcesLastUpdatedEl.textContent = now.toLocaleTimeString();
+    }
+}
+
 // Refresh button click handler
 if (refreshResourcesBtn) {
     refreshResourcesBtn.addEventListener('click', () => {
@@ -1168,6 +2617,6 @@ if (refreshResourcesBtn) {
 // Initial load and polling for resources
 if (resourcesLastUpdatedEl) {
     updateServerResources();
-    setInterval(updateServerResources, 5000); // Update every 5 seconds
+    pollWhileDisconnected(updateServerResources, 5000); // Update every 5 seconds
 }
 
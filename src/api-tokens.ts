@@ -0,0 +1,186 @@
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { logger } from './logger';
+import { Role } from './user-manager';
+import { eventStream } from './event-stream';
+
+const API_TOKENS_JSON_PATH = path.join(__dirname, '../configs/api-tokens.json');
+
+export const API_TOKEN_PREFIX = 'xat_';
+const TOKEN_BYTES = 32;
+const USAGE_SAVE_INTERVAL = 60 * 1000; // Last-used times are written to disk at most this often per token
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each scope grants the rights of one role, capped by the owner's own role
+export const SCOPES = {
+  read: 'viewer',                // Read-only
+  control: 'operator',           // Start/stop connections and run tests
+  write: 'admin'                 // Also change configs, connections and settings
+} as const satisfies Record<string, Role>;
+export type Scope = keyof typeof SCOPES;
+
+export interface ApiToken {
+  id: string;
+  name: string;
+  userId: string;                // Owner; the token acts as this user
+  scope: Scope;
+  tokenHash: string;             // SHA-256 of the token; the token itself is shown once at creation
+  hint: string;                  // Last characters of the token, to tell tokens apart
+  createdAt: number;
+  expiresAt: number | null;      // null never expires
+  lastUsedAt: number | null;
+  lastUsedIp?: string;
+}
+
+export type PublicApiToken = Omit<ApiToken, 'tokenHash'>;
+
+// Bad input; anything else thrown here is a storage failure
+export class ApiTokenValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ApiTokenValidationError';
+  }
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublic(token: ApiToken): PublicApiToken {
+  const { tokenHash, ...rest } = token;
+  return rest;
+}
+
+class ApiTokenManager {
+  private tokens: ApiToken[] = [];
+  private saving: Promise<void> = Promise.resolve();
+
+  async loadState(): Promise<void> {
+    try {
+      if (!(await fs.pathExists(API_TOKENS_JSON_PATH))) return;
+      this.tokens = await fs.readJson(API_TOKENS_JSON_PATH);
+      logger.log(`[ApiTokens] Loaded ${this.tokens.length} API tokens`);
+    } catch (err: any) {
+      logger.log(`[ApiTokens] Failed to load state: ${err.message}`);
+    }
+  }
+
+  // Writes are chained so usage updates from parallel requests never interleave two writes of the file
+  private saveState(): Promise<void> {
+    const write = this.saving.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(API_TOKENS_JSON_PATH));
+        await fs.writeJson(API_TOKENS_JSON_PATH, this.tokens, { spaces: 2 });
+      } catch (err: any) {
+        logger.log(`[ApiTokens] Failed to save state: ${err.message}`);
+        throw err;
+      }
+    });
+    // A failed write must not block the ones queued after it
+    this.saving = write.catch(() => undefined);
+    return write;
+  }
+
+  // Swap in a changed token list and persist it; the old list stays in memory if the write fails
+  private async commit(tokens: ApiToken[]): Promise<void> {
+    const previous = this.tokens;
+    this.tokens = tokens;
+    try {
+      await this.saveState();
+    } catch (err) {
+      this.tokens = previous;
+      throw err;
+    }
+  }
+
+  isApiToken(token: string): boolean {
+    return token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  getTokens(userId?: string): PublicApiToken[] {
+    return this.tokens
+      .filter(t => userId === undefined || t.userId === userId)
+      .map(toPublic);
+  }
+
+  getToken(id: string): PublicApiToken | undefined {
+    const token = this.tokens.find(t => t.id === id);
+    return token && toPublic(token);
+  }
+
+  // Returns the plain token once; only its hash is stored
+  async createToken(userId: string, input: { name?: string; scope?: string; expiresInDays?: number | null }): Promise<{ token: string; apiToken: PublicApiToken }> {
+    const name = String(input.name ?? '').trim();
+    if (!name) {
+      throw new ApiTokenValidationError('Name is required');
+    }
+    if (this.tokens.find(t => t.userId === userId && t.name === name)) {
+      throw new ApiTokenValidationError(`API token "${name}" already exists`);
+    }
+    if (!input.scope || !(input.scope in SCOPES)) {
+      throw new ApiTokenValidationError(`Scope must be one of: ${Object.keys(SCOPES).join(', ')}`);
+    }
+    const expiresInDays = input.expiresInDays ?? null;
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      throw new ApiTokenValidationError('Expiry must be a positive number of days, or null for no expiry');
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const now = Date.now();
+    const apiToken: ApiToken = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      userId,
+      scope: input.scope as Scope,
+      tokenHash: hashToken(token),
+      hint: token.slice(-4),
+      createdAt: now,
+      expiresAt: expiresInDays === null ? null : now + expiresInDays * DAY_MS,
+      lastUsedAt: null
+    };
+    await this.commit([...this.tokens, apiToken]);
+    logger.log(`[ApiTokens] Created ${apiToken.scope} token "${name}"`);
+    return { token, apiToken: toPublic(apiToken) };
+  }
+
+  // Looks up a presented token and records its use. Returns undefined for unknown or expired tokens.
+  authenticate(token: string, ip?: string): PublicApiToken | undefined {
+    const tokenHash = hashToken(token);
+    const apiToken = this.tokens.find(t => t.tokenHash === tokenHash);
+    if (!apiToken) return undefined;
+    const now = Date.now();
+    if (apiToken.expiresAt !== null && now > apiToken.expiresAt) return undefined;
+
+    const stale = apiToken.lastUsedAt === null || now - apiToken.lastUsedAt >= USAGE_SAVE_INTERVAL;
+    apiToken.lastUsedAt = now;
+    apiToken.lastUsedIp = ip;
+    // Usage times are best effort; saveState already logged a failed write
+    if (stale) this.saveState().catch(() => undefined);
+    return toPublic(apiToken);
+  }
+
+  async revokeToken(id: string): Promise<void> {
+    const apiToken = this.tokens.find(t => t.id === id);
+    if (!apiToken) {
+      throw new Error(`API token "${id}" not found`);
+    }
+    await this.commit(this.tokens.filter(t => t.id !== id));
+    eventStream.disconnect(owner => owner.apiTokenId === id);
+    logger.log(`[ApiTokens] Revoked token "${apiToken.name}"`);
+  }
+
+  // Drop every token of a removed user. Returns how many were revoked.
+  async revokeUserTokens(userId: string): Promise<number> {
+    const revokedIds = new Set(this.tokens.filter(t => t.userId === userId).map(t => t.id));
+    const revoked = revokedIds.size;
+    if (revoked > 0) {
+      await this.commit(this.tokens.filter(t => t.userId !== userId));
+      eventStream.disconnect(owner => owner.apiTokenId !== undefined && revokedIds.has(owner.apiTokenId));
+      logger.log(`[ApiTokens] Revoked ${revoked} tokens of removed user ${userId}`);
+    }
+    return revoked;
+  }
+}
+
+export const apiTokens = new ApiTokenManager();
@@ -0,0 +1,115 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+
+const AUDIT_LOG_PATH = path.join(__dirname, '../logs/audit.log');
+
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+const READ_CHUNK_SIZE = 64 * 1024;
+
+export type AuditAction =
+  | 'login' | 'login.failed' | 'login.locked' | 'logout'
+  | 'config.create' | 'config.update' | 'config.rename' | 'config.duplicate' | 'config.delete' | 'config.import'
+  | 'connection.add' | 'connection.remove' | 'connection.start' | 'connection.stop' | 'connection.restart'
+  | 'connection.start-all' | 'connection.stop-all' | 'connection.port' | 'connection.switch'
+  | 'gateway.update'
+  | 'subscription.add' | 'subscription.update' | 'subscription.refresh' | 'subscription.delete'
+  | 'user.create' | 'user.update' | 'user.delete'
+  | 'token.create' | 'token.revoke';
+
+export interface AuditEntry {
+  timestamp: number;
+  action: AuditAction;
+  actor: string | null;          // Username, or the attempted username for failed logins
+  apiToken?: string;             // Name of the API token the request used
+  ip: string | null;
+  target?: string;               // What was acted on, e.g. a config or connection name
+  details?: Record<string, any>;
+}
+
+export interface AuditQuery {
+  action?: string;               // Exact action, or a prefix such as "config"
+  actor?: string;
+  since?: number;
+  until?: number;
+  limit?: number;
+}
+
+// Append-only: entries are only ever added to the file, one JSON object per line
+class AuditLog {
+  private writing: Promise<void> = Promise.resolve();
+
+  record(entry: Omit<AuditEntry, 'timestamp'>): Promise<void> {
+    const line = JSON.stringify({ timestamp: Date.now(), ...entry }) + '\n';
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(AUDIT_LOG_PATH));
+        await fs.appendFile(AUDIT_LOG_PATH, line);
+      } catch (err: any) {
+        logger.log(`[Audit] Failed to write entry: ${err.message}`);
+      }
+    });
+    return this.writing;
+  }
+
+  // Newest first
+  async query(query: AuditQuery = {}): Promise<AuditEntry[]> {
+    await this.writing;
+    if (!(await fs.pathExists(AUDIT_LOG_PATH))) return [];
+
+    const limit = Math.min(Math.max(query.limit || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const entries: AuditEntry[] = [];
+    for await (const line of readLinesBackwards(AUDIT_LOG_PATH)) {
+      if (!line.trim()) continue;
+      let entry: AuditEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // A torn last line from a crash mid-write
+      }
+      if (matches(entry, query)) entries.push(entry);
+      if (entries.length >= limit) break;
+    }
+    return entries;
+  }
+}
+
+// The log only grows, so read it from the end in chunks and let the caller stop once it has enough
+async function* readLinesBackwards(filePath: string): AsyncGenerator<string> {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    let position = (await fs.fstat(fd)).size;
+    let rest = Buffer.alloc(0); // Start of the line that continues into the chunk read before
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await fs.read(fd, chunk, 0, length, position);
+
+      // Split on bytes so multi-byte characters across a chunk boundary stay intact
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] === 0x0a) {
+          yield buffer.toString('utf8', i + 1, end);
+          end = i;
+        }
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) yield rest.toString('utf8');
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+function matches(entry: AuditEntry, query: AuditQuery): boolean {
+  if (query.action && entry.action !== query.action && !entry.action.startsWith(`${query.action}.`)) return false;
+  if (query.actor && entry.actor !== query.actor) return false;
+  if (query.since !== undefined && entry.timestamp < query.since) return false;
+  if (query.until !== undefined && entry.timestamp > query.until) return false;
+  return true;
+}
+
+export const auditLog = new AuditLog();
@@ -1,40 +1,192 @@
-import { Request, Response, NextFunction } from 'express';
+import { Request, Response, NextFunction, RequestHandler } from 'express';
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { logger } from './logger';
+import { userManager, hasRole, Role, PublicUser } from './user-manager';
+import { apiTokens, SCOPES } from './api-tokens';
+import { eventStream } from './event-stream';
 
-// Session storage (in production, use Redis or database)
-const sessions = new Map<string, { expiresAt: number }>();
+const SESSIONS_JSON_PATH = path.join(__dirname, '../configs/sessions.json');
+const DEFAULT_SESSION_TTL_HOURS = 12;
 
-const SESSION_DURATION = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
+// Configuration from environment variables
+const SESSION_DURATION = parseSessionTtl(process.env.SESSION_TTL_HOURS) * 60 * 60 * 1000; // Idle time before a session expires
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // Activity is written to disk at most this often per session
+const TOKEN_BYTES = 32;
 
-export function generateSessionToken(): string {
-  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+export interface Session {
+  id: string;                    // Public handle for listing and revoking; never the token itself
+  userId: string;                // User who logged in
+  createdAt: number;
+  lastSeenAt: number;
+  expiresAt: number;             // Slides forward with every request
+  userAgent?: string;
+  ip?: string;
+}
+
+// A typo must not turn into a NaN expiry, which would end every session on its first request
+function parseSessionTtl(value: string | undefined): number {
+  if (value === undefined || value.trim() === '') return DEFAULT_SESSION_TTL_HOURS;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    logger.log(`[Auth] Invalid SESSION_TTL_HOURS "${value}", using ${DEFAULT_SESSION_TTL_HOURS} hours`);
+    return DEFAULT_SESSION_TTL_HOURS;
+  }
+  return hours;
+}
+
+// Sessions keyed by the SHA-256 of their token, so the file on disk holds no usable tokens
+const sessions = new Map<string, Session>();
+let saving: Promise<void> = Promise.resolve();
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-export function createSession(token: string): void {
-  sessions.set(token, {
-    expiresAt: Date.now() + SESSION_DURATION
+export async function loadSessions(): Promise<void> {
+  try {
+    if (!(await fs.pathExists(SESSIONS_JSON_PATH))) return;
+    const saved: (Session & { tokenHash: string })[] = await fs.readJson(SESSIONS_JSON_PATH);
+    const now = Date.now();
+    saved.forEach(({ tokenHash, ...session }) => {
+      if (session.expiresAt > now) sessions.set(tokenHash, session);
+    });
+    logger.log(`[Auth] Restored ${sessions.size} sessions`);
+  } catch (err: any) {
+    logger.log(`[Auth] Failed to load sessions: ${err.message}`);
+  }
+}
+
+// Writes are chained so overlapping requests never interleave two writes of the file
+function saveSessions(): Promise<void> {
+  saving = saving.then(async () => {
+    try {
+      const saved = Array.from(sessions.entries()).map(([tokenHash, session]) => ({ tokenHash, ...session }));
+      await fs.ensureDir(path.dirname(SESSIONS_JSON_PATH));
+      await fs.writeJson(SESSIONS_JSON_PATH, saved, { spaces: 2 });
+    } catch (err: any) {
+      logger.log(`[Auth] Failed to save sessions: ${err.message}`);
+    }
   });
+  return saving;
 }
 
-export function validateSession(token: string): boolean {
-  const session = sessions.get(token);
-  if (!session) return false;
+export function generateSessionToken(): string {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+export function createSession(token: string, userId: string, client: { userAgent?: string; ip?: string } = {}): Session {
+  const now = Date.now();
+  const session: Session = {
+    id: crypto.randomBytes(8).toString('hex'),
+    userId,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: now + SESSION_DURATION,
+    userAgent: client.userAgent,
+    ip: client.ip
+  };
+  sessions.set(hashToken(token), session);
+  saveSessions();
+  return session;
+}
+
+function getSession(token: string): Session | undefined {
+  const tokenHash = hashToken(token);
+  const session = sessions.get(tokenHash);
+  if (!session) return undefined;
   
   // Check if session is expired
   if (Date.now() > session.expiresAt) {
-    sessions.delete(token);
-    return false;
+    sessions.delete(tokenHash);
+    endSessionStreams([session.id]);
+    saveSessions();
+    return undefined;
   }
   
+  return session;
+}
+
+export function validateSession(token: string): boolean {
+  return getSession(token) !== undefined;
+}
+
+// Sliding expiration: every authenticated request pushes the expiry out again
+function touchSession(session: Session): void {
+  const now = Date.now();
+  const stale = now - session.lastSeenAt >= SESSION_TOUCH_INTERVAL;
+  session.lastSeenAt = now;
+  session.expiresAt = now + SESSION_DURATION;
+  if (stale) saveSessions();
+}
+
+// Logout: removes the session behind the token. Returns false when it didn't exist.
+export function destroySession(token: string): boolean {
+  const tokenHash = hashToken(token);
+  const session = sessions.get(tokenHash);
+  if (!session) return false;
+  sessions.delete(tokenHash);
+  endSessionStreams([session.id]);
+  saveSessions();
   return true;
 }
 
+export function listUserSessions(userId: string): Session[] {
+  return Array.from(sessions.values())
+    .filter(session => session.userId === userId && session.expiresAt > Date.now())
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .map(session => ({ ...session }));
+}
+
+// Revoke one of the user's own sessions by its public ID. Returns false when it isn't theirs.
+export function revokeSession(userId: string, sessionId: string): boolean {
+  for (const [tokenHash, session] of sessions.entries()) {
+    if (session.id === sessionId && session.userId === userId) {
+      sessions.delete(tokenHash);
+      endSessionStreams([session.id]);
+      saveSessions();
+      return true;
+    }
+  }
+  return false;
+}
+
+// Log a user out everywhere, e.g. after removal or a password reset. Returns how many sessions ended.
+export function revokeUserSessions(userId: string, exceptSessionId?: string): number {
+  const revoked: string[] = [];
+  for (const [tokenHash, session] of sessions.entries()) {
+    if (session.userId === userId && session.id !== exceptSessionId) {
+      sessions.delete(tokenHash);
+      revoked.push(session.id);
+    }
+  }
+  if (revoked.length > 0) {
+    endSessionStreams(revoked);
+    saveSessions();
+  }
+  return revoked.length;
+}
+
 export function cleanupExpiredSessions(): void {
   const now = Date.now();
-  for (const [token, session] of sessions.entries()) {
+  const removed: string[] = [];
+  for (const [tokenHash, session] of sessions.entries()) {
     if (now > session.expiresAt) {
-      sessions.delete(token);
+      sessions.delete(tokenHash);
+      removed.push(session.id);
     }
   }
+  if (removed.length > 0) {
+    endSessionStreams(removed);
+    saveSessions();
+  }
+}
+
+// An open /api/events stream outlives the request that authenticated it, so close it with its session
+function endSessionStreams(sessionIds: string[]): void {
+  const ids = new Set(sessionIds);
+  eventStream.disconnect(owner => owner.sessionId !== undefined && ids.has(owner.sessionId));
 }
 
 export function authMiddleware(req: Request, res: Response, next: NextFunction): void {
@@ -51,8 +203,9 @@ export function authMiddleware(req: Request, res: Response, next: NextFunction):
   }
   
   const token = req.headers.authorization?.replace('Bearer ', '');
+  const identity = token ? resolveToken(token, req.ip) : undefined;
   
-  if (!token || !validateSession(token)) {
+  if (!identity) {
     // For API routes, return 401
     if (req.path.startsWith('/api/')) {
       res.status(401).json({ error: 'Unauthorized' });
@@ -64,8 +217,51 @@ export function authMiddleware(req: Request, res: Response, next: NextFunction):
     return;
   }
   
+  res.locals.user = identity.user;
+  res.locals.sessionId = identity.sessionId;
+  res.locals.apiTokenId = identity.apiTokenId;
   next();
 }
 
+// Session tokens and API tokens share the Bearer header; API tokens carry a fixed prefix
+function resolveToken(token: string, ip?: string): { user: PublicUser; sessionId?: string; apiTokenId?: string } | undefined {
+  if (apiTokens.isApiToken(token)) {
+    const apiToken = apiTokens.authenticate(token, ip);
+    const owner = apiToken && userManager.getUser(apiToken.userId);
+    if (!apiToken || !owner) return undefined;
+    // The scope never grants more than the owner currently has
+    const scopeRole = SCOPES[apiToken.scope];
+    const role = hasRole(owner.role, scopeRole) ? scopeRole : owner.role;
+    return { user: { ...owner, role }, apiTokenId: apiToken.id };
+  }
+
+  const session = getSession(token);
+  const user = session && userManager.getUser(session.userId);
+  if (!session || !user) return undefined;
+  touchSession(session);
+  return { user, sessionId: session.id };
+}
+
+// Route guard layered after authMiddleware: rejects users below the given role
+export function requireRole(role: Role): RequestHandler<any> {
+  return (req, res, next) => {
+    const user: PublicUser | undefined = res.locals.user;
+    if (!user || !hasRole(user.role, role)) {
+      res.status(403).json({ error: `Requires ${role} role` });
+      return;
+    }
+    next();
+  };
+}
+
+// Account management (sessions, users, API tokens) needs an interactive login, not an API token
+export const requireSession: RequestHandler<any> = (req, res, next) => {
+  if (!res.locals.sessionId) {
+    res.status(403).json({ error: 'Requires a login session; API tokens cannot manage accounts' });
+    return;
+  }
+  next();
+};
+
 // Clean up expired sessions every hour
 setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
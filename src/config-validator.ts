@@ -0,0 +1,178 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+import { processSupervisor } from './process-supervisor';
+
+const TEMP_CONFIG_DIR = path.join(__dirname, '../configs/temp');
+
+// Configuration from environment variables
+const XRAY_TEST_TIMEOUT = parseInt(process.env.XRAY_TEST_TIMEOUT || '10000', 10);
+
+export interface ValidationIssue {
+  message: string;
+  path?: string;                 // JSON path of the offending value, e.g. inbounds[0].port
+  line?: number;                 // 1-based line in the pretty-printed config
+  column?: number;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationIssue[];
+}
+
+export class ConfigValidationError extends Error {
+  errors: ValidationIssue[];
+
+  constructor(errors: ValidationIssue[]) {
+    super(`Invalid config: ${errors.map(e => e.path ? `${e.path}: ${e.message}` : e.message).join('; ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Xray also accepts ports as strings: "1080", a range "1000-2000", or "env:NAME" read at startup.
+// Only plain numbers are range-checked here; xray itself rejects bad strings. Saved configs may use
+// every form, but connections shift their inbounds by port number and reject ranges and env: ports
+// in getInboundOffsets (port-allocator.ts).
+function isValidPort(port: any): boolean {
+  if (typeof port === 'number') {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+  }
+  if (typeof port === 'string') {
+    return /^\d+$/.test(port) || /^\d+-\d+$/.test(port) || /^env:\S+$/.test(port);
+  }
+  return false;
+}
+
+class ConfigValidator {
+  // Skips the binary check once we know xray is not installed
+  private xrayAvailable: boolean = true;
+
+  checkStructure(config: any): ValidationIssue[] {
+    const errors: ValidationIssue[] = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return [{ message: 'Config must be a JSON object' }];
+    }
+
+    if (!Array.isArray(config.inbounds) || config.inbounds.length === 0) {
+      errors.push({ path: 'inbounds', message: 'At least one inbound is required' });
+    } else {
+      config.inbounds.forEach((inbound: any, index: number) => {
+        if (!inbound?.protocol) {
+          errors.push({ path: `inbounds[${index}].protocol`, message: 'Inbound protocol is required' });
+        }
+        if (!isValidPort(inbound?.port)) {
+          errors.push({
+            path: `inbounds[${index}].port`,
+            message: 'Inbound port must be a number between 1 and 65535, a numeric string, a range like "1000-2000" or an env: reference'
+          });
+        }
+      });
+    }
+
+    if (!Array.isArray(config.outbounds) || config.outbounds.length === 0) {
+      errors.push({ path: 'outbounds', message: 'At least one outbound is required' });
+    } else {
+      config.outbounds.forEach((outbound: any, index: number) => {
+        if (!outbound?.protocol) {
+          errors.push({ path: `outbounds[${index}].protocol`, message: 'Outbound protocol is required' });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  async testWithXray(configPath: string): Promise<ValidationIssue[]> {
+    if (!this.xrayAvailable) {
+      return [];
+    }
+
+    return new Promise<ValidationIssue[]>((resolve) => {
+      let output = '';
+      const testProcess = processSupervisor.track(spawn('xray', ['run', '-test', '-c', configPath]), 'config test');
+
+      const timeout = setTimeout(() => {
+        testProcess.kill('SIGKILL');
+        resolve([{ message: `Xray config test timed out after ${XRAY_TEST_TIMEOUT}ms` }]);
+      }, XRAY_TEST_TIMEOUT);
+
+      testProcess.stdout?.on('data', (data) => { output += data.toString(); });
+      testProcess.stderr?.on('data', (data) => { output += data.toString(); });
+
+      testProcess.on('error', (err: any) => {
+        clearTimeout(timeout);
+        if (err.code === 'ENOENT') {
+          this.xrayAvailable = false;
+          logger.log('[ConfigValidator] xray binary not found, skipping xray config tests');
+          resolve([]);
+        } else {
+          resolve([{ message: `Failed to run xray config test: ${err.message}` }]);
+        }
+      });
+
+      testProcess.on('close', (code) => {
+        clearTimeout(timeout);
+        if (code === 0) {
+          resolve([]);
+          return;
+        }
+        const errors = this.parseXrayOutput(output);
+        resolve(errors.length > 0 ? errors : [{ message: `Xray config test exited with code ${code}` }]);
+      });
+    });
+  }
+
+  async validate(config: any, configPath?: string): Promise<ValidationResult> {
+    const structureErrors = this.checkStructure(config);
+    if (structureErrors.length > 0) {
+      return { valid: false, errors: structureErrors };
+    }
+
+    // Test a temp copy unless the caller already wrote the config to disk
+    let tempConfigPath: string | null = null;
+    if (!configPath) {
+      await fs.ensureDir(TEMP_CONFIG_DIR);
+      tempConfigPath = path.join(TEMP_CONFIG_DIR, `validate_${Date.now()}_${Math.floor(Math.random() * 10000)}.json`);
+      await fs.writeFile(tempConfigPath, JSON.stringify(config, null, 2));
+    }
+
+    try {
+      const errors = await this.testWithXray(configPath ?? tempConfigPath!);
+      return { valid: errors.length === 0, errors };
+    } finally {
+      if (tempConfigPath) {
+        await fs.remove(tempConfigPath);
+      }
+    }
+  }
+
+  async assertValid(config: any, configPath?: string): Promise<void> {
+    const result = await this.validate(config, configPath);
+    if (!result.valid) {
+      throw new ConfigValidationError(result.errors);
+    }
+  }
+
+  private parseXrayOutput(output: string): ValidationIssue[] {
+    return output
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      // Drop the version banner and timestamps, keep the failure chain
+      .filter(line => /failed|error|invalid|unknown|not found/i.test(line))
+      .map(line => {
+        const message = line.replace(/^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?\s*/, '');
+        const position = message.match(/line:?\s*(\d+)(?:,?\s*char(?:acter)?:?\s*(\d+))?/i);
+        const issue: ValidationIssue = { message };
+        if (position) {
+          issue.line = parseInt(position[1], 10);
+          if (position[2]) issue.column = parseInt(position[2], 10);
+        }
+        return issue;
+      });
+  }
+}
+
+export const configValidator = new ConfigValidator();
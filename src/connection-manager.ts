@@ -1,23 +1,78 @@
 import { spawn, ChildProcess } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
+import axios from 'axios';
 import { logger } from './logger';
 import { xrayManager, ConfigItem } from './xray-manager';
+import { configValidator } from './config-validator';
+import { waitForPorts, getInboundEndpoint, isPortOpen, PortEndpoint } from './port-probe';
+import { latencyTester } from './latency-tester';
+import { processSupervisor } from './process-supervisor';
+import { portAllocator, getInboundOffsets, PortClaim } from './port-allocator';
+import { eventStream } from './event-stream';
 
 const CONNECTIONS_JSON_PATH = path.join(__dirname, '../configs/connections.json');
 const TEMP_CONFIG_DIR = path.join(__dirname, '../configs/temp');
 
 // Configuration from environment variables
 const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS || '10', 10);
-const CONNECTION_START_PORT = parseInt(process.env.CONNECTION_START_PORT || '1080', 10);
+export const CONNECTION_START_PORT = parseInt(process.env.CONNECTION_START_PORT || '1080', 10);
 const AUTO_RESTART_CONNECTIONS = process.env.AUTO_RESTART_CONNECTIONS === 'true';
 const CONNECTION_STARTUP_TIMEOUT = parseInt(process.env.CONNECTION_STARTUP_TIMEOUT || '5000', 10);
+const RESTART_MAX_RETRIES = parseInt(process.env.RESTART_MAX_RETRIES || '5', 10);
+const RESTART_BACKOFF_BASE = parseInt(process.env.RESTART_BACKOFF_BASE || '1000', 10);
+const RESTART_BACKOFF_CAP = parseInt(process.env.RESTART_BACKOFF_CAP || '60000', 10);
+const RESTART_RESET_WINDOW = parseInt(process.env.RESTART_RESET_WINDOW || '300000', 10); // Uptime that clears the retry count
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL || '30000', 10); // 0 disables the monitor
+const HEALTH_CHECK_URL = process.env.HEALTH_CHECK_URL || process.env.TEST_URL || 'http://google.com';
+const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT || '10000', 10);
+const HEALTH_FAILURE_THRESHOLD = parseInt(process.env.HEALTH_FAILURE_THRESHOLD || '3', 10);
+const AUTO_FAILOVER = process.env.AUTO_FAILOVER !== 'false';
+const MAX_FAILOVER_EVENTS = 100;
+const MAX_FAILOVER_ATTEMPTS = 3; // Candidates tried per failover before giving up
+const QUOTA_CHECK_INTERVAL = 60000; // Expiry and period-reset checks
+const TRAFFIC_SAVE_INTERVAL = 60000; // Quota usage from the stats poller is written to disk at most this often
+export const STATS_API_TAG = 'stats-api';
 
 export enum ConnectionStatus {
   RUNNING = 'Running',
   STOPPED = 'Stopped',
   STARTING = 'Starting',
-  ERROR = 'Error'
+  ERROR = 'Error',
+  QUOTA_EXCEEDED = 'Quota Exceeded',
+  CRASH_LOOP = 'Crash Loop'
+}
+
+export interface RestartPolicy {
+  maxRetries: number;            // Consecutive auto-restarts before giving up
+  backoffBase: number;           // Delay before the first restart (ms), doubled per retry
+  backoffCap: number;            // Longest delay between restarts (ms)
+  resetWindow: number;           // Uptime after which a crash starts a fresh retry budget (ms)
+}
+
+export const DEFAULT_RESTART_POLICY: RestartPolicy = {
+  maxRetries: RESTART_MAX_RETRIES,
+  backoffBase: RESTART_BACKOFF_BASE,
+  backoffCap: RESTART_BACKOFF_CAP,
+  resetWindow: RESTART_RESET_WINDOW
+};
+
+export interface RestartState {
+  attempts: number;              // Auto-restarts in the current retry budget
+  totalRestarts: number;         // Auto-restarts since the server started
+  lastCrashAt: number | null;
+  nextRestartAt: number | null;  // When the pending restart fires
+}
+
+export type QuotaPeriod = 'day' | 'month';
+export const QUOTA_PERIODS: QuotaPeriod[] = ['day', 'month'];
+
+export interface ConnectionQuota {
+  limitBytes: number | null;     // Uplink + downlink allowed per period (null = unlimited)
+  period: QuotaPeriod;
+  usedBytes: number;             // Traffic counted in the current period
+  periodStart: number;           // Local start of the current day/month
+  expiresAt: number | null;      // Connection may not run after this time
 }
 
 export interface ConnectionInstance {
@@ -30,19 +85,55 @@ export interface ConnectionInstance {
   status: ConnectionStatus;      // Current status
   connectionStartTime: number | null;
   error?: string;                // Last error message
+  autostart: boolean;            // Relaunch on server boot if it was running
+  health?: ConnectionHealth;     // Health monitor state (not persisted)
+  apiPort?: number;              // Xray stats API port of the running process (not persisted)
+  quota?: ConnectionQuota;       // Traffic limit and expiry
+  restartPolicy?: Partial<RestartPolicy>; // Overrides of DEFAULT_RESTART_POLICY
+  restart?: RestartState;        // Auto-restart counters (not persisted)
+}
+
+export interface ConnectionHealth {
+  healthy: boolean;
+  consecutiveFailures: number;
+  lastCheck: number | null;
+  lastLatency?: number;          // Response time of the last successful check (ms)
+  lastError?: string;
+}
+
+export interface FailoverEvent {
+  timestamp: number;
+  basePort: number;
+  fromId: string;
+  fromName: string;
+  toId: string | null;
+  toName: string | null;
+  reason: string;
+  success: boolean;
 }
 
 export interface ConnectionListState {
-  connections: Omit<ConnectionInstance, 'config' | 'process'>[];
+  connections: Omit<ConnectionInstance, 'config' | 'process' | 'health' | 'apiPort' | 'restart'>[];
   lastUpdated: number;
 }
 
 class ConnectionManager {
   private connections: ConnectionInstance[] = [];
   private lastUpdated: number = Date.now();
+  private pendingRestore: string[] = []; // IDs that were running before the last shutdown
+  private healthTimer: NodeJS.Timeout | null = null;
+  private healthCheckInProgress: boolean = false;
+  private failoverInProgress = new Set<number>(); // Base ports currently being failed over
+  private failoverEvents: FailoverEvent[] = [];
+  private pendingSwaps = new Map<ConnectionInstance, ConnectionInstance>(); // Failover replacement on trial -> the connection it stands in for
+  private quotaTimer: NodeJS.Timeout | null = null;
+  private restartTimers = new Map<string, NodeJS.Timeout>(); // Pending auto-restarts by connection ID
+  private shuttingDown: boolean = false;
+  private lastTrafficSave: number = 0;
 
   constructor() {
     this.ensureFilesExist();
+    portAllocator.registerClaims(() => this.getPortClaims());
   }
 
   private async ensureFilesExist(): Promise<void> {
@@ -55,15 +146,16 @@ class ConnectionManager {
 
   // ==================== Connection List Management ====================
 
-  async addConnection(name: string, basePort?: number): Promise<void> {
-    logger.log(`[ConnectionManager] Adding connection: ${name}`);
+  // Accepts a config ID, or a config name for older clients
+  async addConnection(configKey: string, basePort?: number): Promise<void> {
+    logger.log(`[ConnectionManager] Adding connection: ${configKey}`);
 
     // Get config from xrayManager
-    const configs = await xrayManager.listConfigs();
-    const configItem = configs.find(c => c.name === name);
+    const configItem = await xrayManager.findConfig(configKey);
     if (!configItem) {
-      throw new Error(`Config "${name}" not found`);
+      throw new Error(`Config "${configKey}" not found`);
     }
+    const name = configItem.name;
 
     // Check if connection already exists (using config ID)
     if (this.connections.find(c => c.id === configItem.id)) {
@@ -75,8 +167,15 @@ class ConnectionManager {
       throw new Error(`Maximum number of connections (${MAX_CONNECTIONS}) reached`);
     }
 
-    // Use provided basePort or default to CONNECTION_START_PORT
-    const assignedBasePort = basePort ?? CONNECTION_START_PORT;
+    // Use provided basePort if all its ports are free, otherwise the first free one from CONNECTION_START_PORT
+    const offsets = getInboundOffsets(configItem.config);
+    let assignedBasePort: number;
+    if (basePort !== undefined) {
+      await portAllocator.assertAvailable(offsets.map(offset => basePort + offset), { owner: configItem.id });
+      assignedBasePort = basePort;
+    } else {
+      assignedBasePort = await portAllocator.suggestBasePort(offsets, CONNECTION_START_PORT, configItem.id);
+    }
 
     // Create connection instance using config ID
     const connection: ConnectionInstance = {
@@ -87,7 +186,8 @@ class ConnectionManager {
       port: assignedBasePort,
       process: null,
       status: ConnectionStatus.STOPPED,
-      connectionStartTime: null
+      connectionStartTime: null,
+      autostart: true
     };
 
     this.connections.push(connection);
@@ -104,6 +204,7 @@ class ConnectionManager {
     }
 
     // Stop connection if running
+    this.cancelPendingRestart(connection);
     if (connection.status === ConnectionStatus.RUNNING || connection.status === ConnectionStatus.STARTING) {
       await this.stopConnection(id);
     }
@@ -164,13 +265,11 @@ class ConnectionManager {
       throw new Error('Port must be between 1024 and 65535');
     }
 
-    // Check for port conflicts with other connections
-    const portConflict = this.connections.find(c => 
-      c.id !== id && c.basePort === newBasePort
-    );
-    if (portConflict) {
-      throw new Error(`Port ${newBasePort} is already in use by "${portConflict.name}"`);
-    }
+    // Check every inbound port against other connections, reserved ranges and the host.
+    // Ports this connection holds itself are released when it stops for the change.
+    const currentPorts = connection.status === ConnectionStatus.RUNNING ? this.getInboundPorts(connection) : [];
+    const newPorts = getInboundOffsets(connection.config).map(offset => newBasePort + offset);
+    await portAllocator.assertAvailable(newPorts.filter(port => !currentPorts.includes(port)), { owner: id });
 
     const wasRunning = connection.status === ConnectionStatus.RUNNING;
 
@@ -182,6 +281,10 @@ class ConnectionManager {
     // Update port
     connection.basePort = newBasePort;
     connection.port = newBasePort;
+    // The new ports passed the check, so a reserved-port warning from loadState no longer applies
+    if (connection.status === ConnectionStatus.STOPPED) {
+      connection.error = undefined;
+    }
 
     await this.saveState();
 
@@ -193,6 +296,17 @@ class ConnectionManager {
     logger.log(`[ConnectionManager] Connection "${id}" port updated to ${newBasePort}`);
   }
 
+  async setAutostart(id: string, autostart: boolean): Promise<void> {
+    const connection = this.getConnection(id);
+    if (!connection) {
+      throw new Error(`Connection "${id}" not found`);
+    }
+
+    connection.autostart = autostart;
+    await this.saveState();
+    logger.log(`[ConnectionManager] Connection "${id}" autostart ${autostart ? 'enabled' : 'disabled'}`);
+  }
+
   // ==================== Individual Connection Control ====================
 
   async startConnection(id: string): Promise<void> {
@@ -208,8 +322,19 @@ class ConnectionManager {
       return;
     }
 
-    connection.status = ConnectionStatus.STARTING;
-    connection.error = undefined;
+    this.cancelPendingRestart(connection);
+    if (connection.status === ConnectionStatus.CRASH_LOOP && connection.restart) {
+      connection.restart.attempts = 0;
+    }
+
+    const quotaReason = this.getQuotaViolation(connection);
+    if (quotaReason) {
+      this.setStatus(connection, ConnectionStatus.QUOTA_EXCEEDED, quotaReason);
+      await this.saveState();
+      throw new Error(quotaReason);
+    }
+
+    this.setStatus(connection, ConnectionStatus.STARTING);
 
     try {
       // Refresh config from configs list to get latest changes
@@ -222,12 +347,22 @@ class ConnectionManager {
       connection.name = configItem.name; // Update name in case it changed
       logger.log(`[Connection: ${id}] Config refreshed from configs list`);
 
+      // Fail early with a clear message instead of an xray bind error
+      await portAllocator.assertAvailable(this.getInboundPorts(connection), { owner: id, activeOnly: true });
+
+      // Dedicated port for this process's stats API
+      connection.apiPort = await portAllocator.acquire(id, `stats API of connection "${connection.name}"`);
+
       // Create temp config file with assigned port
       const tempConfigPath = await this.createTempConfig(connection);
 
+      // Catch broken configs before spawning the long-running process
+      await configValidator.assertValid(connection.config, tempConfigPath);
+
       // Spawn Xray process
       logger.log(`[Connection: ${id}] Starting Xray on port ${connection.port}...`);
-      connection.process = spawn('xray', ['run', '-c', tempConfigPath]);
+      const startedAt = Date.now();
+      connection.process = processSupervisor.track(spawn('xray', ['run', '-c', tempConfigPath]), `connection ${id}`);
 
       // Setup process handlers
       this.setupProcessHandlers(connection, tempConfigPath);
@@ -249,17 +384,26 @@ class ConnectionManager {
         });
       });
 
-      // Give it a moment to initialize
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Wait until every inbound accepts connections, within the same startup budget
+      const endpoints = this.getInboundEndpoints(connection);
+      const remaining = Math.max(CONNECTION_STARTUP_TIMEOUT - (Date.now() - startedAt), 0);
+      await waitForPorts(endpoints, remaining, connection.process);
+      logger.log(`[Connection: ${id}] Ready after ${Date.now() - startedAt}ms (ports ${endpoints.map(e => e.port).join(', ')})`);
 
-      connection.status = ConnectionStatus.RUNNING;
+      this.setStatus(connection, ConnectionStatus.RUNNING);
       connection.connectionStartTime = Date.now();
+      connection.health = { healthy: true, consecutiveFailures: 0, lastCheck: null };
       await this.saveState();
       logger.log(`[Connection: ${id}] Started successfully on port ${connection.port}`);
     } catch (error: any) {
-      connection.status = ConnectionStatus.ERROR;
-      connection.error = error.message;
+      this.setStatus(connection, ConnectionStatus.ERROR, error.message);
+      // Don't leave a half-started process holding the ports
+      const child = connection.process;
       connection.process = null;
+      if (child) {
+        await processSupervisor.terminate(child);
+      }
+      this.releaseApiPort(connection);
       await this.saveState();
       logger.log(`[Connection: ${id}] Failed to start: ${error.message}`);
       throw error;
@@ -274,19 +418,27 @@ class ConnectionManager {
       throw new Error(`Connection "${id}" not found`);
     }
 
+    this.cancelPendingRestart(connection);
+    if (connection.restart) {
+      connection.restart.attempts = 0;
+    }
+
     if (connection.status === ConnectionStatus.STOPPED) {
       logger.log(`[Connection: ${id}] Already stopped`);
       return;
     }
 
-    if (connection.process) {
-      connection.process.kill();
-      connection.process = null;
+    // Detach first so the exit is not handled as a crash, then wait until the ports are released
+    const child = connection.process;
+    connection.process = null;
+    if (child) {
+      await processSupervisor.terminate(child);
     }
 
-    connection.status = ConnectionStatus.STOPPED;
+    this.setStatus(connection, ConnectionStatus.STOPPED);
     connection.connectionStartTime = null;
-    connection.error = undefined;
+    connection.health = undefined;
+    this.releaseApiPort(connection);
     await this.saveState();
     logger.log(`[Connection: ${id}] Stopped`);
   }
@@ -303,9 +455,6 @@ class ConnectionManager {
     
     await this.stopConnection(id);
     
-    // Wait for process to stop
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
     if (wasRunning) {
       await this.startConnection(id);
     }
@@ -339,6 +488,24 @@ class ConnectionManager {
     logger.log(`[ConnectionManager] Stop all completed`);
   }
 
+  // Stop every process for a server shutdown. Persisted statuses are left alone
+  // so that running connections are restored on the next boot.
+  async shutdown(): Promise<void> {
+    this.shuttingDown = true;
+    this.stopHealthMonitor();
+    this.stopQuotaMonitor();
+    this.restartTimers.forEach(timer => clearTimeout(timer));
+    this.restartTimers.clear();
+    // Keep quota usage counted since the last periodic save
+    await this.saveState();
+
+    const children = this.connections
+      .map(c => c.process)
+      .filter((child): child is ChildProcess => !!child);
+    logger.log(`[ConnectionManager] Shutting down ${children.length} running connection(s)...`);
+    await Promise.all(children.map(child => processSupervisor.terminate(child)));
+  }
+
   // ==================== Status Monitoring ====================
 
   getConnectionStatus(id: string): ConnectionStatus {
@@ -354,25 +521,40 @@ class ConnectionManager {
     return statuses;
   }
 
+  // Address of a running connection's first inbound speaking the given protocol
+  getProxyEndpoint(id: string, protocol: 'http' | 'socks'): PortEndpoint | null {
+    const connection = this.getConnection(id);
+    if (!connection || connection.status !== ConnectionStatus.RUNNING) return null;
+    const inbounds: any[] = connection.config?.inbounds || [];
+    const index = inbounds.findIndex(inbound => inbound.protocol === protocol);
+    if (index === -1) return null;
+    return getInboundEndpoint({ ...inbounds[index], port: this.getInboundPorts(connection)[index] });
+  }
+
   // ==================== State Persistence ====================
 
   async saveState(): Promise<void> {
     try {
       const state: ConnectionListState = {
-        connections: this.connections.map(c => ({
+        // A replacement is only persisted once it has started; until then the original keeps its slot on disk
+        connections: this.connections.map(c => this.pendingSwaps.get(c) ?? c).map(c => ({
           id: c.id,
           name: c.name,
           basePort: c.basePort,
           port: c.port,
           status: c.status,
           connectionStartTime: c.connectionStartTime,
-          error: c.error
+          error: c.error,
+          autostart: c.autostart,
+          quota: c.quota,
+          restartPolicy: c.restartPolicy
         })),
         lastUpdated: Date.now()
       };
 
       await fs.writeJson(CONNECTIONS_JSON_PATH, state, { spaces: 2 });
       this.lastUpdated = state.lastUpdated;
+      eventStream.publish('connections', { lastUpdated: state.lastUpdated });
     } catch (err: any) {
       logger.log(`[ConnectionManager] Failed to save state: ${err.message}`);
     }
@@ -392,11 +574,23 @@ class ConnectionManager {
 
       // Rebuild connections with full config data
       this.connections = [];
+      this.pendingRestore = [];
+      let staleCount = 0;
       for (const connState of state.connections) {
         const configItem = configs.find(c => c.id === connState.id);
         if (configItem) {
           // Migrate existing connections: use basePort if available, otherwise use port
           const basePort = (connState as any).basePort ?? connState.port;
+
+          // No child processes survive a restart, so persisted statuses are stale
+          const wasRunning = connState.status === ConnectionStatus.RUNNING || connState.status === ConnectionStatus.STARTING;
+          if (wasRunning) {
+            this.pendingRestore.push(connState.id);
+          }
+          if (connState.status !== ConnectionStatus.STOPPED && connState.status !== ConnectionStatus.QUOTA_EXCEEDED) {
+            staleCount++;
+          }
+
           this.connections.push({
             id: connState.id,
             name: configItem.name, // Use current name from config
@@ -404,9 +598,13 @@ class ConnectionManager {
             basePort: basePort,
             port: basePort,
             process: null,
-            status: connState.status,
-            connectionStartTime: connState.connectionStartTime,
-            error: connState.error
+            // Quota stops are not stale: they hold until the period resets
+            status: connState.status === ConnectionStatus.QUOTA_EXCEEDED ? ConnectionStatus.QUOTA_EXCEEDED : ConnectionStatus.STOPPED,
+            connectionStartTime: null,
+            error: connState.status === ConnectionStatus.QUOTA_EXCEEDED ? connState.error : undefined,
+            autostart: connState.autostart ?? true,
+            quota: connState.quota,
+            restartPolicy: connState.restartPolicy
           });
         } else {
           logger.log(`[ConnectionManager] Config with ID "${connState.id}" not found, skipping`);
@@ -414,12 +612,485 @@ class ConnectionManager {
       }
 
       this.lastUpdated = state.lastUpdated;
-      logger.log(`[ConnectionManager] Loaded ${this.connections.length} connections from state`);
+      logger.log(`[ConnectionManager] Loaded ${this.connections.length} connections from state (${staleCount} stale statuses reset)`);
+      this.flagReservedPorts();
     } catch (err: any) {
       logger.log(`[ConnectionManager] Failed to load state: ${err.message}`);
     }
   }
 
+  // Relaunch connections that were running before the server stopped
+  async restoreConnections(): Promise<void> {
+    const candidates = this.pendingRestore
+      .map(id => this.getConnection(id))
+      .filter((c): c is ConnectionInstance => !!c);
+    this.pendingRestore = [];
+
+    const toStart = candidates.filter(c => c.autostart);
+    const skipped = candidates.filter(c => !c.autostart);
+    let restored = 0;
+    const failed: string[] = [];
+
+    for (const connection of toStart) {
+      try {
+        await this.startConnection(connection.id);
+        restored++;
+      } catch (err: any) {
+        failed.push(`${connection.name} (${err.message})`);
+      }
+    }
+
+    await this.saveState();
+    logger.log(`[ConnectionManager] Boot summary: ${this.connections.length} connections, ${candidates.length} were running, ${restored} restored, ${failed.length} failed, ${skipped.length} skipped (autostart off)`);
+    if (failed.length > 0) {
+      logger.log(`[ConnectionManager] Failed to restore: ${failed.join(', ')}`);
+    }
+    if (skipped.length > 0) {
+      logger.log(`[ConnectionManager] Autostart disabled for: ${skipped.map(c => c.name).join(', ')}`);
+    }
+  }
+
+  // ==================== Health Monitoring & Failover ====================
+
+  startHealthMonitor(): void {
+    if (this.healthTimer || HEALTH_CHECK_INTERVAL <= 0) return;
+    logger.log(`[HealthMonitor] Checking running connections every ${HEALTH_CHECK_INTERVAL}ms via ${HEALTH_CHECK_URL}`);
+    this.healthTimer = setInterval(() => {
+      this.runHealthChecks().catch(err => logger.log(`[HealthMonitor] Health check error: ${err.message}`));
+    }, HEALTH_CHECK_INTERVAL);
+  }
+
+  stopHealthMonitor(): void {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  isHealthMonitorEnabled(): boolean {
+    return this.healthTimer !== null;
+  }
+
+  getFailoverEvents(): FailoverEvent[] {
+    return [...this.failoverEvents];
+  }
+
+  async runHealthChecks(): Promise<void> {
+    // Skip a tick rather than overlap when checks are slow
+    if (this.healthCheckInProgress) return;
+    this.healthCheckInProgress = true;
+
+    try {
+      const running = this.connections.filter(c =>
+        c.status === ConnectionStatus.RUNNING && !this.failoverInProgress.has(c.basePort)
+      );
+      await Promise.all(running.map(c => this.checkConnectionHealth(c)));
+    } finally {
+      this.healthCheckInProgress = false;
+    }
+  }
+
+  private async checkConnectionHealth(connection: ConnectionInstance): Promise<void> {
+    const health: ConnectionHealth = connection.health ?? { healthy: true, consecutiveFailures: 0, lastCheck: null };
+    connection.health = health;
+
+    const start = Date.now();
+    try {
+      await this.probeConnection(connection);
+      health.healthy = true;
+      health.consecutiveFailures = 0;
+      health.lastLatency = Date.now() - start;
+      health.lastError = undefined;
+    } catch (err: any) {
+      health.consecutiveFailures++;
+      health.lastError = err.message;
+      logger.log(`[HealthMonitor] "${connection.name}" check failed (${health.consecutiveFailures}/${HEALTH_FAILURE_THRESHOLD}): ${err.message}`);
+
+      if (health.healthy && health.consecutiveFailures >= HEALTH_FAILURE_THRESHOLD) {
+        health.healthy = false;
+        logger.log(`[HealthMonitor] "${connection.name}" declared unhealthy`);
+        if (AUTO_FAILOVER) {
+          await this.failover(connection, `${health.consecutiveFailures} consecutive health check failures`);
+        }
+      }
+    } finally {
+      health.lastCheck = Date.now();
+    }
+  }
+
+  // Send a request through the connection's HTTP inbound, or fall back to a TCP probe
+  private async probeConnection(connection: ConnectionInstance): Promise<void> {
+    const inbounds: any[] = connection.config?.inbounds || [];
+    const ports = this.getInboundPorts(connection);
+    const httpIndex = inbounds.findIndex(inbound => inbound.protocol === 'http');
+
+    if (httpIndex === -1) {
+      const endpoint = this.getInboundEndpoints(connection)[0];
+      if (!(await isPortOpen(endpoint.host, endpoint.port))) {
+        throw new Error(`Port ${endpoint.port} is not accepting connections`);
+      }
+      return;
+    }
+
+    const endpoint = getInboundEndpoint({ ...inbounds[httpIndex], port: ports[httpIndex] });
+    await axios.get(HEALTH_CHECK_URL, {
+      proxy: { host: endpoint.host, port: endpoint.port, protocol: 'http' },
+      timeout: HEALTH_CHECK_TIMEOUT,
+      // Any answer from the far side means the tunnel works
+      validateStatus: status => status < 500
+    });
+  }
+
+  // Replace an unhealthy connection with the lowest-latency config not already in use, on the same base port
+  private async failover(connection: ConnectionInstance, reason: string): Promise<void> {
+    const basePort = connection.basePort;
+    if (this.failoverInProgress.has(basePort)) return;
+    this.failoverInProgress.add(basePort);
+
+    try {
+      const candidates = await this.getFailoverCandidates(connection);
+      if (candidates.length === 0) {
+        this.recordFailover(connection, null, reason, false);
+        logger.log(`[HealthMonitor] No failover candidate for "${connection.name}" on port ${basePort}; run latency tests to rank configs`);
+        return;
+      }
+
+      await this.stopConnection(connection.id);
+      for (const candidate of candidates.slice(0, MAX_FAILOVER_ATTEMPTS)) {
+        logger.log(`[HealthMonitor] Failing over port ${basePort} from "${connection.name}" to "${candidate.name}"...`);
+        const replacement = this.swapConnection(connection, candidate);
+        try {
+          await this.startConnection(replacement.id);
+          this.pendingSwaps.delete(replacement);
+          await this.saveState();
+          this.recordFailover(connection, candidate, reason, true);
+          logger.log(`[HealthMonitor] Failover on port ${basePort} to "${candidate.name}" succeeded`);
+          return;
+        } catch (err: any) {
+          this.recordFailover(connection, candidate, `${reason}; replacement failed to start: ${err.message}`, false);
+        }
+      }
+      logger.log(`[HealthMonitor] Failover on port ${basePort} gave up after ${Math.min(candidates.length, MAX_FAILOVER_ATTEMPTS)} attempts`);
+      await this.restoreConnection(connection);
+    } catch (err: any) {
+      logger.log(`[HealthMonitor] Failover on port ${basePort} failed: ${err.message}`);
+      await this.restoreConnection(connection);
+    } finally {
+      this.failoverInProgress.delete(basePort);
+    }
+  }
+
+  private async getFailoverCandidates(connection: ConnectionInstance): Promise<ConfigItem[]> {
+    const configs = await xrayManager.listConfigs();
+    const inUse = new Set(this.connections.map(c => c.id));
+    const results = latencyTester.getResults().filter(r => r.latency !== 'FAILED') as { id: string; latency: number }[];
+
+    return results
+      .sort((a, b) => a.latency - b.latency)
+      .map(r => configs.find(c => c.id === r.id))
+      .filter((c): c is ConfigItem => !!c && c.id !== connection.id && !inUse.has(c.id));
+  }
+
+  // Put a new config on trial in a stopped connection's slot, keeping list position, port and autostart.
+  // The original is remembered in pendingSwaps until the replacement starts or the failover gives up.
+  private swapConnection(connection: ConnectionInstance, configItem: ConfigItem): ConnectionInstance {
+    const replacement: ConnectionInstance = {
+      id: configItem.id,
+      name: configItem.name,
+      config: configItem.config,
+      basePort: connection.basePort,
+      port: connection.basePort,
+      process: null,
+      status: ConnectionStatus.STOPPED,
+      connectionStartTime: null,
+      autostart: connection.autostart
+    };
+
+    // The slot holds the original, or an earlier candidate that failed to start
+    const index = this.connections.findIndex(c => c === connection || this.pendingSwaps.get(c) === connection);
+    if (index !== -1) {
+      this.pendingSwaps.delete(this.connections[index]);
+    }
+    this.connections.splice(index === -1 ? this.connections.length : index, 1, replacement);
+    this.pendingSwaps.set(replacement, connection);
+    return replacement;
+  }
+
+  // Every candidate failed: put the original back and try to bring it up again, as it was running before
+  private async restoreConnection(connection: ConnectionInstance): Promise<void> {
+    const index = this.connections.findIndex(c => this.pendingSwaps.get(c) === connection);
+    if (index === -1) return;
+    this.pendingSwaps.delete(this.connections[index]);
+    this.connections.splice(index, 1, connection);
+    await this.saveState();
+    logger.log(`[HealthMonitor] Restored "${connection.name}" on port ${connection.basePort}`);
+
+    try {
+      await this.startConnection(connection.id);
+    } catch (err: any) {
+      logger.log(`[HealthMonitor] "${connection.name}" failed to restart after failover: ${err.message}`);
+    }
+  }
+
+  private recordFailover(from: ConnectionInstance, to: ConfigItem | null, reason: string, success: boolean): void {
+    const event: FailoverEvent = {
+      timestamp: Date.now(),
+      basePort: from.basePort,
+      fromId: from.id,
+      fromName: from.name,
+      toId: to?.id ?? null,
+      toName: to?.name ?? null,
+      reason,
+      success
+    };
+    this.failoverEvents.push(event);
+    if (this.failoverEvents.length > MAX_FAILOVER_EVENTS) {
+      this.failoverEvents.shift();
+    }
+    logger.log(`[HealthMonitor] Failover event: port ${event.basePort} "${event.fromName}" -> ${event.toName ? `"${event.toName}"` : 'none'} (${success ? 'ok' : 'failed'}): ${reason}`);
+  }
+
+  // ==================== Traffic Quotas ====================
+
+  async setQuota(id: string, updates: { limitBytes?: number | null; period?: QuotaPeriod; expiresAt?: number | null }): Promise<ConnectionQuota | undefined> {
+    const connection = this.getConnection(id);
+    if (!connection) {
+      throw new Error(`Connection "${id}" not found`);
+    }
+
+    if (updates.limitBytes !== undefined && updates.limitBytes !== null
+      && (typeof updates.limitBytes !== 'number' || !Number.isFinite(updates.limitBytes) || updates.limitBytes <= 0)) {
+      throw new Error('limitBytes must be a positive number or null');
+    }
+    if (updates.period !== undefined && !QUOTA_PERIODS.includes(updates.period)) {
+      throw new Error(`period must be one of: ${QUOTA_PERIODS.join(', ')}`);
+    }
+    if (updates.expiresAt !== undefined && updates.expiresAt !== null
+      && (typeof updates.expiresAt !== 'number' || !Number.isFinite(updates.expiresAt))) {
+      throw new Error('expiresAt must be a timestamp in milliseconds or null');
+    }
+
+    const current = connection.quota;
+    const period = updates.period ?? current?.period ?? 'month';
+    // Keep usage unless the period itself changed
+    const keepUsage = !!current && current.period === period;
+    const quota: ConnectionQuota = {
+      limitBytes: updates.limitBytes !== undefined ? updates.limitBytes : current?.limitBytes ?? null,
+      period,
+      usedBytes: keepUsage ? current!.usedBytes : 0,
+      periodStart: keepUsage ? current!.periodStart : getPeriodStart(period, Date.now()),
+      expiresAt: updates.expiresAt !== undefined ? updates.expiresAt : current?.expiresAt ?? null
+    };
+
+    connection.quota = quota.limitBytes === null && quota.expiresAt === null ? undefined : quota;
+    logger.log(`[Quota] "${connection.name}" quota set: ${connection.quota ? describeQuota(connection.quota) : 'none'}`);
+    await this.enforceQuota(connection);
+    await this.saveState();
+    return connection.quota;
+  }
+
+  async resetQuotaUsage(id: string): Promise<void> {
+    const connection = this.getConnection(id);
+    if (!connection) {
+      throw new Error(`Connection "${id}" not found`);
+    }
+    if (!connection.quota) return;
+
+    connection.quota.usedBytes = 0;
+    connection.quota.periodStart = getPeriodStart(connection.quota.period, Date.now());
+    logger.log(`[Quota] "${connection.name}" usage reset`);
+    this.releaseQuotaStop(connection);
+    await this.saveState();
+  }
+
+  // Count traffic reported by the stats poller against the connection's quota
+  async recordTraffic(id: string, bytes: number): Promise<void> {
+    const connection = this.getConnection(id);
+    if (!connection?.quota || bytes <= 0) return;
+
+    const rolled = this.rollQuotaPeriod(connection);
+    connection.quota.usedBytes += bytes;
+    const stopped = await this.enforceQuota(connection);
+
+    // The counter lives in memory between saves; a crash loses at most one interval of usage
+    const now = Date.now();
+    if (rolled || stopped || now - this.lastTrafficSave >= TRAFFIC_SAVE_INTERVAL) {
+      this.lastTrafficSave = now;
+      await this.saveState();
+    }
+  }
+
+  startQuotaMonitor(): void {
+    if (this.quotaTimer) return;
+    this.quotaTimer = setInterval(() => {
+      this.checkQuotas().catch(err => logger.log(`[Quota] Quota check error: ${err.message}`));
+    }, QUOTA_CHECK_INTERVAL);
+  }
+
+  stopQuotaMonitor(): void {
+    if (this.quotaTimer) {
+      clearInterval(this.quotaTimer);
+      this.quotaTimer = null;
+    }
+  }
+
+  // Reset finished periods, stop expired connections and relaunch ones whose quota was renewed
+  async checkQuotas(): Promise<void> {
+    let changed = false;
+    const renewed: ConnectionInstance[] = [];
+
+    for (const connection of this.connections) {
+      if (!connection.quota) continue;
+      const wasExceeded = connection.status === ConnectionStatus.QUOTA_EXCEEDED;
+      if (this.rollQuotaPeriod(connection)) changed = true;
+      if (await this.enforceQuota(connection)) changed = true;
+      if (wasExceeded && connection.status === ConnectionStatus.STOPPED && connection.autostart) {
+        renewed.push(connection);
+      }
+    }
+    if (changed) {
+      await this.saveState();
+    }
+
+    for (const connection of renewed) {
+      logger.log(`[Quota] Relaunching "${connection.name}" after quota reset`);
+      await this.startConnection(connection.id).catch(err => {
+        logger.log(`[Quota] Failed to relaunch "${connection.name}": ${err.message}`);
+      });
+    }
+  }
+
+  private getQuotaViolation(connection: ConnectionInstance): string | null {
+    if (!connection.quota) return null;
+    this.rollQuotaPeriod(connection);
+    return findQuotaViolation(connection.quota, Date.now());
+  }
+
+  // Stop a running connection that is over its quota; returns true if it was stopped
+  private async enforceQuota(connection: ConnectionInstance): Promise<boolean> {
+    const reason = this.getQuotaViolation(connection);
+    if (!reason) {
+      this.releaseQuotaStop(connection);
+      return false;
+    }
+    if (connection.status !== ConnectionStatus.RUNNING && connection.status !== ConnectionStatus.STARTING) {
+      return false;
+    }
+
+    logger.log(`[Quota] Stopping "${connection.name}": ${reason}`);
+    await this.stopConnection(connection.id);
+    this.setStatus(connection, ConnectionStatus.QUOTA_EXCEEDED, reason);
+    return true;
+  }
+
+  // Start a new period when the current one is over; returns true if it rolled over
+  private rollQuotaPeriod(connection: ConnectionInstance): boolean {
+    const quota = connection.quota;
+    if (!quota) return false;
+
+    const periodStart = getPeriodStart(quota.period, Date.now());
+    if (periodStart <= quota.periodStart) return false;
+
+    logger.log(`[Quota] "${connection.name}" new ${quota.period} started, ${quota.usedBytes} bytes used last period`);
+    quota.periodStart = periodStart;
+    quota.usedBytes = 0;
+    this.releaseQuotaStop(connection);
+    return true;
+  }
+
+  // Clear the quota status once the connection is allowed to run again
+  private releaseQuotaStop(connection: ConnectionInstance): void {
+    if (connection.status !== ConnectionStatus.QUOTA_EXCEEDED) return;
+    if (connection.quota && findQuotaViolation(connection.quota, Date.now())) return;
+
+    this.setStatus(connection, ConnectionStatus.STOPPED);
+    logger.log(`[Quota] "${connection.name}" is within its quota again`);
+  }
+
+  // ==================== Auto-Restart ====================
+
+  getRestartPolicy(connection: ConnectionInstance): RestartPolicy {
+    return { ...DEFAULT_RESTART_POLICY, ...connection.restartPolicy };
+  }
+
+  async setRestartPolicy(id: string, policy: Partial<RestartPolicy> | null): Promise<RestartPolicy> {
+    const connection = this.getConnection(id);
+    if (!connection) {
+      throw new Error(`Connection "${id}" not found`);
+    }
+
+    const overrides: Partial<RestartPolicy> = {};
+    for (const key of Object.keys(DEFAULT_RESTART_POLICY) as (keyof RestartPolicy)[]) {
+      const value = policy?.[key];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+        throw new Error(`${key} must be a non-negative integer`);
+      }
+      overrides[key] = value;
+    }
+
+    connection.restartPolicy = Object.keys(overrides).length > 0 ? overrides : undefined;
+    await this.saveState();
+    const effective = this.getRestartPolicy(connection);
+    logger.log(`[Connection: ${id}] Restart policy set: ${JSON.stringify(effective)}`);
+    return effective;
+  }
+
+  // Queue a restart after a crash, backing off exponentially until the retry budget runs out
+  private scheduleRestart(connection: ConnectionInstance, uptime: number): void {
+    if (this.restartTimers.has(connection.id)) return;
+
+    const policy = this.getRestartPolicy(connection);
+    const state: RestartState = connection.restart ?? { attempts: 0, totalRestarts: 0, lastCrashAt: null, nextRestartAt: null };
+    connection.restart = state;
+    state.lastCrashAt = Date.now();
+
+    // A connection that stayed up long enough earns a fresh budget
+    if (uptime >= policy.resetWindow) {
+      state.attempts = 0;
+    }
+
+    if (state.attempts >= policy.maxRetries) {
+      state.nextRestartAt = null;
+      this.setStatus(connection, ConnectionStatus.CRASH_LOOP, `Crashed ${state.attempts + 1} times in a row, giving up: ${connection.error}`);
+      logger.log(`[Connection: ${connection.id}] Crash loop detected after ${state.attempts} restarts, auto-restart stopped`);
+      return;
+    }
+
+    const delay = Math.min(policy.backoffBase * Math.pow(2, state.attempts), policy.backoffCap);
+    state.attempts++;
+    state.nextRestartAt = Date.now() + delay;
+    logger.log(`[Connection: ${connection.id}] Auto-restarting in ${delay}ms (attempt ${state.attempts}/${policy.maxRetries})...`);
+
+    const timer = setTimeout(() => {
+      this.restartTimers.delete(connection.id);
+      state.nextRestartAt = null;
+      // Removed, stopped or restarted by hand while waiting
+      if (this.getConnection(connection.id) !== connection || connection.status !== ConnectionStatus.ERROR) return;
+
+      state.totalRestarts++;
+      this.startConnection(connection.id).catch(err => {
+        logger.log(`[Connection: ${connection.id}] Auto-restart failed: ${err.message}`);
+        if (connection.status === ConnectionStatus.ERROR) {
+          this.scheduleRestart(connection, 0);
+          this.saveState().catch(err => logger.log(`[ConnectionManager] Failed to save state: ${err.message}`));
+        }
+      });
+    }, delay);
+    this.restartTimers.set(connection.id, timer);
+  }
+
+  private cancelPendingRestart(connection: ConnectionInstance): void {
+    const timer = this.restartTimers.get(connection.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.restartTimers.delete(connection.id);
+    }
+    if (connection.restart) {
+      connection.restart.nextRestartAt = null;
+    }
+  }
+
   // ==================== Port Management ====================
 
   private assignPort(index: number): number {
@@ -458,6 +1129,72 @@ class ConnectionManager {
 
   // ==================== Private Helper Methods ====================
 
+  // Every status change goes through here so event stream clients see it at once
+  private setStatus(connection: ConnectionInstance, status: ConnectionStatus, error?: string): void {
+    connection.status = status;
+    connection.error = error;
+    eventStream.publish('connection', { id: connection.id, name: connection.name, status, error });
+  }
+
+  // Ports every inbound will listen on, keeping their offsets from the first inbound
+  private getInboundPorts(connection: ConnectionInstance): number[] {
+    return getInboundOffsets(connection.config).map(offset => connection.basePort + offset);
+  }
+
+  // Connections saved before the port pool existed may sit inside it and would fail every start.
+  // They are left where they are, but the log and the connection list say which port to move.
+  private flagReservedPorts(): void {
+    const ranges = portAllocator.getReservedRanges();
+    for (const connection of this.connections) {
+      let ports: number[];
+      try {
+        ports = this.getInboundPorts(connection);
+      } catch {
+        continue;
+      }
+      const clash = ports
+        .map(port => ({ port, range: ranges.find(r => port >= r.start && port <= r.end) }))
+        .find(entry => entry.range);
+      if (!clash) continue;
+
+      const message = `Port ${clash.port} is reserved for ${clash.range!.description} (${clash.range!.start}-${clash.range!.end}); move this connection to another base port`;
+      logger.log(`[ConnectionManager] Connection "${connection.name}" cannot start: ${message}`);
+      if (!connection.error) {
+        connection.error = message;
+      }
+    }
+  }
+
+  // Ports owned by each connection, for the port allocator. A connection saved before ranges and
+  // env: ports were rejected claims nothing rather than breaking every other port check.
+  private getPortClaims(): PortClaim[] {
+    return this.connections.flatMap(connection => {
+      const active = connection.status === ConnectionStatus.RUNNING || connection.status === ConnectionStatus.STARTING;
+      const description = `connection "${connection.name}"`;
+      let ports: number[];
+      try {
+        ports = this.getInboundPorts(connection);
+      } catch {
+        return [];
+      }
+      return ports.map(port => ({ port, owner: connection.id, description, active }));
+    });
+  }
+
+  private releaseApiPort(connection: ConnectionInstance): void {
+    if (connection.apiPort) {
+      portAllocator.release(connection.apiPort);
+      connection.apiPort = undefined;
+    }
+  }
+
+  private getInboundEndpoints(connection: ConnectionInstance): PortEndpoint[] {
+    const ports = this.getInboundPorts(connection);
+    return connection.config.inbounds.map((inbound: any, index: number) =>
+      getInboundEndpoint({ ...inbound, port: ports[index] })
+    );
+  }
+
   private async createTempConfig(connection: ConnectionInstance): Promise<string> {
     // Deep clone config
     const tempConfig = JSON.parse(JSON.stringify(connection.config));
@@ -467,21 +1204,20 @@ class ConnectionManager {
       throw new Error('No inbounds found in config');
     }
 
-    // Get the first inbound's original port to calculate offsets
-    const firstInboundOriginalPort = connection.config.inbounds[0].port;
-    const basePort = connection.basePort;
-
     // Update all inbounds' ports based on base port
+    const ports = this.getInboundPorts(connection);
     tempConfig.inbounds.forEach((inbound: any, index: number) => {
-      const originalPort = connection.config.inbounds[index].port;
-      const offset = originalPort - firstInboundOriginalPort;
-      inbound.port = basePort + offset;
+      inbound.port = ports[index];
     });
 
     // Set log level
     if (!tempConfig.log) tempConfig.log = {};
     tempConfig.log.loglevel = 'error';
 
+    if (connection.apiPort) {
+      this.injectStatsApi(tempConfig, connection.apiPort);
+    }
+
     // Write to temp file
     const tempConfigPath = path.join(TEMP_CONFIG_DIR, `connection_${connection.id.replace(/[^a-z0-9]/gi, '_')}.json`);
     await fs.writeJson(tempConfigPath, tempConfig, { spaces: 2 });
@@ -489,45 +1225,86 @@ class ConnectionManager {
     return tempConfigPath;
   }
 
+  // Enable the Xray stats service on a loopback-only API inbound
+  private injectStatsApi(tempConfig: any, apiPort: number): void {
+    // Traffic is counted per tag, so give untagged inbounds/outbounds one
+    tempConfig.inbounds.forEach((inbound: any, index: number) => {
+      if (!inbound.tag) inbound.tag = `inbound-${index}`;
+    });
+    (tempConfig.outbounds || []).forEach((outbound: any, index: number) => {
+      if (!outbound.tag) outbound.tag = `outbound-${index}`;
+    });
+
+    tempConfig.api = { tag: STATS_API_TAG, services: ['StatsService'] };
+    tempConfig.stats = {};
+    tempConfig.policy = {
+      ...tempConfig.policy,
+      system: {
+        ...tempConfig.policy?.system,
+        statsInboundUplink: true,
+        statsInboundDownlink: true,
+        statsOutboundUplink: true,
+        statsOutboundDownlink: true
+      }
+    };
+
+    tempConfig.inbounds.push({
+      tag: STATS_API_TAG,
+      listen: '127.0.0.1',
+      port: apiPort,
+      protocol: 'dokodemo-door',
+      settings: { address: '127.0.0.1' }
+    });
+
+    if (!tempConfig.routing) tempConfig.routing = {};
+    tempConfig.routing.rules = [
+      { type: 'field', inboundTag: [STATS_API_TAG], outboundTag: STATS_API_TAG },
+      ...(tempConfig.routing.rules || [])
+    ];
+  }
+
   private setupProcessHandlers(connection: ConnectionInstance, tempConfigPath: string): void {
-    if (!connection.process) return;
+    const child = connection.process;
+    if (!child) return;
 
-    connection.process.stdout?.on('data', (data) => {
+    child.stdout?.on('data', (data) => {
       logger.log(`[Connection: ${connection.id}] ${data.toString()}`);
     });
 
-    connection.process.stderr?.on('data', (data) => {
+    child.stderr?.on('data', (data) => {
       logger.log(`[Connection: ${connection.id}] [ERROR] ${data.toString()}`);
     });
 
-    connection.process.on('close', (code) => {
+    child.on('close', (code) => {
       logger.log(`[Connection: ${connection.id}] Process exited with code ${code}`);
+
+      // Deliberately stopped (or replaced) processes are not crashes
+      if (connection.process !== child || this.shuttingDown) return;
       
       if (connection.status === ConnectionStatus.RUNNING || connection.status === ConnectionStatus.STARTING) {
-        connection.status = ConnectionStatus.ERROR;
-        connection.error = `Process exited with code ${code}`;
+        const uptime = connection.connectionStartTime ? Date.now() - connection.connectionStartTime : 0;
+        this.setStatus(connection, ConnectionStatus.ERROR, `Process exited with code ${code}`);
         connection.process = null;
         connection.connectionStartTime = null;
-        this.saveState().catch(err => logger.log(`[ConnectionManager] Failed to save state: ${err.message}`));
+        this.releaseApiPort(connection);
 
         // Auto-restart if enabled
         if (AUTO_RESTART_CONNECTIONS) {
-          logger.log(`[Connection: ${connection.id}] Auto-restarting...`);
-          this.startConnection(connection.id).catch(err => {
-            logger.log(`[Connection: ${connection.id}] Auto-restart failed: ${err.message}`);
-          });
+          this.scheduleRestart(connection, uptime);
         }
+        this.saveState().catch(err => logger.log(`[ConnectionManager] Failed to save state: ${err.message}`));
       }
     });
 
-    connection.process.on('error', (err) => {
+    child.on('error', (err) => {
       logger.log(`[Connection: ${connection.id}] Process error: ${err.message}`);
+      if (connection.process !== child || this.shuttingDown) return;
       
       if (connection.status === ConnectionStatus.RUNNING || connection.status === ConnectionStatus.STARTING) {
-        connection.status = ConnectionStatus.ERROR;
-        connection.error = err.message;
+        this.setStatus(connection, ConnectionStatus.ERROR, err.message);
         connection.process = null;
         connection.connectionStartTime = null;
+        this.releaseApiPort(connection);
         this.saveState().catch(err => logger.log(`[ConnectionManager] Failed to save state: ${err.message}`));
       }
     });
@@ -567,4 +1344,28 @@ class ConnectionManager {
   }
 }
 
+// Local midnight of the day, or the first of the month, containing the timestamp
+function getPeriodStart(period: QuotaPeriod, timestamp: number): number {
+  const date = new Date(timestamp);
+  return period === 'day'
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+    : new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+function findQuotaViolation(quota: ConnectionQuota, now: number): string | null {
+  if (quota.expiresAt !== null && now >= quota.expiresAt) {
+    return `Expired on ${new Date(quota.expiresAt).toISOString()}`;
+  }
+  if (quota.limitBytes !== null && quota.usedBytes >= quota.limitBytes) {
+    return `Traffic quota exceeded: ${quota.usedBytes} of ${quota.limitBytes} bytes used this ${quota.period}`;
+  }
+  return null;
+}
+
+function describeQuota(quota: ConnectionQuota): string {
+  const limit = quota.limitBytes !== null ? `${quota.limitBytes} bytes per ${quota.period}` : 'no traffic limit';
+  const expiry = quota.expiresAt !== null ? `, expires ${new Date(quota.expiresAt).toISOString()}` : '';
+  return `${limit}${expiry}`;
+}
+
 export const connectionManager = new ConnectionManager();
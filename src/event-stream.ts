@@ -0,0 +1,94 @@
+import { Response } from 'express';
+
+// Configuration from environment variables
+const EVENT_STREAM_HEARTBEAT = parseInt(process.env.EVENT_STREAM_HEARTBEAT || '15000', 10); // Keeps idle proxies from closing the stream
+const RECONNECT_DELAY = 3000; // Sent to clients as the SSE retry hint
+
+export type StreamEventType =
+  | 'connection'    // A connection changed status
+  | 'connections'   // The connection list changed (added, removed, reordered, settings)
+  | 'traffic'       // Fresh traffic counters of every connection
+  | 'log'           // New log lines
+  | 'latency'       // Latency test started, finished or produced a result
+  | 'speed-test'    // Speed test progress
+  | 'resources';    // Server resource sample
+
+// Credential a stream was opened with, so revoking it can also end the stream
+export interface StreamOwner {
+  sessionId?: string;
+  apiTokenId?: string;
+}
+
+// Server-Sent Events hub. Kept free of other imports so the logger can publish through it.
+class EventStream {
+  private clients = new Map<Response, StreamOwner>();
+  private nextEventId = 1;
+  private heartbeatTimer: NodeJS.Timeout | null = null;
+
+  subscribe(res: Response, owner: StreamOwner = {}): void {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    this.clients.set(res, owner);
+    res.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+    this.startHeartbeat();
+  }
+
+  hasClients(): boolean {
+    return this.clients.size > 0;
+  }
+
+  getClientCount(): number {
+    return this.clients.size;
+  }
+
+  publish(type: StreamEventType, data: any): void {
+    if (this.clients.size === 0) return;
+    const message = `id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach((owner, res) => res.write(message));
+  }
+
+  // End the streams whose owner matches, e.g. after a logout or a token revocation. Returns how many ended.
+  disconnect(match: (owner: StreamOwner) => boolean): number {
+    let closed = 0;
+    this.clients.forEach((owner, res) => {
+      if (!match(owner)) return;
+      this.clients.delete(res);
+      res.end();
+      closed++;
+    });
+    if (this.clients.size === 0) this.stopHeartbeat();
+    return closed;
+  }
+
+  closeAll(): void {
+    this.stopHeartbeat();
+    this.clients.forEach((owner, res) => res.end());
+    this.clients.clear();
+  }
+
+  private startHeartbeat(): void {
+    if (this.heartbeatTimer || EVENT_STREAM_HEARTBEAT <= 0) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((owner, res) => res.write(': heartbeat\n\n'));
+    }, EVENT_STREAM_HEARTBEAT);
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
+
+export const eventStream = new EventStream();
@@ -0,0 +1,297 @@
+import net from 'net';
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+import { connectionManager, ConnectionStatus } from './connection-manager';
+
+const GATEWAY_JSON_PATH = path.join(__dirname, '../configs/gateway.json');
+
+// Defaults from environment variables, overridden by configs/gateway.json
+const GATEWAY_ENABLED = process.env.GATEWAY_ENABLED === 'true';
+const GATEWAY_PORT = parseInt(process.env.GATEWAY_PORT || '7890', 10);
+const GATEWAY_LISTEN = process.env.GATEWAY_LISTEN || '127.0.0.1';
+const GATEWAY_STRATEGY = process.env.GATEWAY_STRATEGY || 'round-robin';
+const UPSTREAM_CONNECT_TIMEOUT = 5000;
+
+const SOCKS5_VERSION = 0x05;
+
+export type GatewayStrategy = 'round-robin' | 'least-connections' | 'lowest-latency';
+export const GATEWAY_STRATEGIES: GatewayStrategy[] = ['round-robin', 'least-connections', 'lowest-latency'];
+
+export interface GatewayConfig {
+  enabled: boolean;
+  port: number;
+  listen: string;
+  strategy: GatewayStrategy;
+}
+
+export interface UpstreamStats {
+  id: string;
+  name: string;
+  active: number;                // Client connections currently forwarded
+  total: number;                 // Client connections forwarded since start
+  failed: number;                // Upstream connect failures
+}
+
+interface Upstream {
+  id: string;
+  name: string;
+  host: string;
+  port: number;
+  latency: number;
+}
+
+class Gateway {
+  private config: GatewayConfig = {
+    enabled: GATEWAY_ENABLED,
+    port: GATEWAY_PORT,
+    listen: GATEWAY_LISTEN,
+    strategy: GATEWAY_STRATEGIES.includes(GATEWAY_STRATEGY as GatewayStrategy) ? GATEWAY_STRATEGY as GatewayStrategy : 'round-robin'
+  };
+  private server: net.Server | null = null;
+  private sockets = new Set<net.Socket>();
+  private stats = new Map<string, UpstreamStats>();
+  private roundRobinIndex: number = 0;
+  private lastError: string | null = null;
+
+  getConfig(): GatewayConfig {
+    return { ...this.config };
+  }
+
+  isRunning(): boolean {
+    return this.server !== null;
+  }
+
+  getLastError(): string | null {
+    return this.lastError;
+  }
+
+  getUpstreamStats(): UpstreamStats[] {
+    return Array.from(this.stats.values()).map(s => ({ ...s }));
+  }
+
+  async loadState(): Promise<void> {
+    try {
+      if (await fs.pathExists(GATEWAY_JSON_PATH)) {
+        const saved = await fs.readJson(GATEWAY_JSON_PATH);
+        this.config = { ...this.config, ...saved };
+      }
+    } catch (err: any) {
+      logger.log(`[Gateway] Failed to load state: ${err.message}`);
+    }
+    if (this.config.enabled) {
+      await this.start().catch(err => logger.log(`[Gateway] Failed to start: ${err.message}`));
+    }
+  }
+
+  async updateConfig(updates: Partial<GatewayConfig>): Promise<void> {
+    const next: GatewayConfig = { ...this.config };
+
+    if (updates.port !== undefined) {
+      if (typeof updates.port !== 'number' || updates.port < 1024 || updates.port > 65535) {
+        throw new Error('Port must be between 1024 and 65535');
+      }
+      next.port = updates.port;
+    }
+    if (updates.listen !== undefined) {
+      if (net.isIP(updates.listen) === 0) {
+        throw new Error(`Invalid listen address "${updates.listen}"`);
+      }
+      next.listen = updates.listen;
+    }
+    if (updates.strategy !== undefined) {
+      if (!GATEWAY_STRATEGIES.includes(updates.strategy)) {
+        throw new Error(`Strategy must be one of: ${GATEWAY_STRATEGIES.join(', ')}`);
+      }
+      next.strategy = updates.strategy;
+    }
+    if (updates.enabled !== undefined) {
+      next.enabled = !!updates.enabled;
+    }
+
+    const needsRestart = next.port !== this.config.port || next.listen !== this.config.listen;
+    const previous = this.config;
+    const wasRunning = !!this.server;
+    this.config = next;
+
+    // Apply before persisting, so a port that fails to bind is never saved
+    try {
+      if (!this.config.enabled) {
+        await this.stop();
+      } else if (!this.server) {
+        await this.start();
+      } else if (needsRestart) {
+        await this.stop();
+        await this.start();
+      }
+    } catch (err) {
+      this.config = previous;
+      if (wasRunning && !this.server) {
+        await this.start().catch(restoreErr => logger.log(`[Gateway] Failed to restore previous listener: ${restoreErr.message}`));
+      }
+      throw err;
+    }
+
+    await fs.ensureDir(path.dirname(GATEWAY_JSON_PATH));
+    await fs.writeJson(GATEWAY_JSON_PATH, this.config, { spaces: 2 });
+    logger.log(`[Gateway] Config updated: ${JSON.stringify(this.config)}`);
+  }
+
+  async start(): Promise<void> {
+    if (this.server) return;
+
+    const server = net.createServer(socket => this.handleClient(socket));
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.config.port, this.config.listen, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    }).catch(err => {
+      this.lastError = err.message;
+      throw err;
+    });
+
+    server.on('error', err => logger.log(`[Gateway] Server error: ${err.message}`));
+    this.server = server;
+    this.lastError = null;
+    logger.log(`[Gateway] Listening on ${this.config.listen}:${this.config.port} (HTTP + SOCKS5, ${this.config.strategy})`);
+  }
+
+  async stop(): Promise<void> {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+    await new Promise<void>(resolve => server.close(() => resolve()));
+    logger.log(`[Gateway] Stopped`);
+  }
+
+  // ==================== Client Handling ====================
+
+  private handleClient(client: net.Socket): void {
+    this.sockets.add(client);
+    client.on('close', () => this.sockets.delete(client));
+    client.on('error', () => client.destroy());
+
+    // The first byte tells SOCKS5 (0x05) apart from an HTTP request line
+    client.once('data', (firstChunk: Buffer) => {
+      client.pause();
+      const protocol = firstChunk[0] === SOCKS5_VERSION ? 'socks' : 'http';
+      const upstreams = this.orderUpstreams(this.getUpstreams(protocol));
+
+      if (upstreams.length === 0) {
+        this.rejectClient(client, protocol);
+        return;
+      }
+      this.connectUpstream(client, firstChunk, upstreams, 0);
+    });
+  }
+
+  private connectUpstream(client: net.Socket, firstChunk: Buffer, upstreams: Upstream[], index: number): void {
+    if (index >= upstreams.length || client.destroyed) {
+      client.destroy();
+      return;
+    }
+
+    const upstream = upstreams[index];
+    const stats = this.getStats(upstream);
+    const socket = net.connect({ host: upstream.host, port: upstream.port });
+    socket.setTimeout(UPSTREAM_CONNECT_TIMEOUT);
+
+    const onConnectError = () => {
+      socket.destroy();
+      stats.failed++;
+      // Nothing was forwarded yet, so the next upstream can take over
+      this.connectUpstream(client, firstChunk, upstreams, index + 1);
+    };
+    socket.once('error', onConnectError);
+    socket.once('timeout', onConnectError);
+
+    socket.once('connect', () => {
+      socket.removeListener('error', onConnectError);
+      socket.removeListener('timeout', onConnectError);
+      socket.setTimeout(0);
+
+      stats.active++;
+      stats.total++;
+      this.sockets.add(socket);
+
+      socket.write(firstChunk);
+      client.pipe(socket);
+      socket.pipe(client);
+      client.resume();
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        stats.active--;
+        this.sockets.delete(socket);
+        client.destroy();
+        socket.destroy();
+      };
+      socket.on('error', release);
+      socket.on('close', release);
+      client.on('close', release);
+    });
+  }
+
+  private rejectClient(client: net.Socket, protocol: 'http' | 'socks'): void {
+    if (protocol === 'socks') {
+      // Greeting reply: no acceptable authentication methods
+      client.end(Buffer.from([SOCKS5_VERSION, 0xff]));
+    } else {
+      client.end('HTTP/1.1 503 Service Unavailable\r\nContent-Length: 0\r\nConnection: close\r\n\r\n');
+    }
+    logger.log(`[Gateway] No healthy ${protocol} upstream available, rejected client`);
+  }
+
+  // ==================== Upstream Selection ====================
+
+  private getUpstreams(protocol: 'http' | 'socks'): Upstream[] {
+    const upstreams: Upstream[] = [];
+    for (const connection of connectionManager.getConnections()) {
+      if (connection.status !== ConnectionStatus.RUNNING || connection.health?.healthy === false) continue;
+      const endpoint = connectionManager.getProxyEndpoint(connection.id, protocol);
+      if (!endpoint) continue;
+      upstreams.push({
+        id: connection.id,
+        name: connection.name,
+        host: endpoint.host,
+        port: endpoint.port,
+        latency: connection.health?.lastLatency ?? Number.MAX_SAFE_INTEGER
+      });
+    }
+    return upstreams;
+  }
+
+  // Order upstreams by strategy; the rest of the list is the fallback order
+  private orderUpstreams(upstreams: Upstream[]): Upstream[] {
+    if (upstreams.length === 0) return upstreams;
+
+    switch (this.config.strategy) {
+      case 'least-connections':
+        return [...upstreams].sort((a, b) => this.getStats(a).active - this.getStats(b).active);
+      case 'lowest-latency':
+        return [...upstreams].sort((a, b) => a.latency - b.latency);
+      default: {
+        const start = this.roundRobinIndex++ % upstreams.length;
+        return [...upstreams.slice(start), ...upstreams.slice(0, start)];
+      }
+    }
+  }
+
+  private getStats(upstream: Upstream): UpstreamStats {
+    let stats = this.stats.get(upstream.id);
+    if (!stats) {
+      stats = { id: upstream.id, name: upstream.name, active: 0, total: 0, failed: 0 };
+      this.stats.set(upstream.id, stats);
+    }
+    stats.name = upstream.name;
+    return stats;
+  }
+}
+
+export const gateway = new Gateway();
@@ -2,40 +2,135 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import dotenv from 'dotenv';
+import QRCode from 'qrcode';
 import os from 'os';
 import { xrayManager } from './xray-manager';
-import { connectionManager } from './connection-manager';
+import { connectionManager, CONNECTION_START_PORT } from './connection-manager';
 import { logger } from './logger';
 import { latencyTester } from './latency-tester';
 import { speedTester } from './speed-tester';
-import { authMiddleware, createSession, generateSessionToken } from './auth';
+import { authMiddleware, createSession, generateSessionToken, requireRole, requireSession, loadSessions, destroySession, listUserSessions, revokeSession, revokeUserSessions } from './auth';
+import { parseShareLink } from './link-parser';
+import { buildShareLink } from './link-exporter';
+import { subscriptionManager, Subscription } from './subscription-manager';
+import { configValidator, ConfigValidationError } from './config-validator';
+import { gateway } from './gateway';
+import { trafficStats, TrafficCounter } from './traffic-stats';
+import { processSupervisor } from './process-supervisor';
+import { portAllocator, PortConflictError, getInboundOffsets } from './port-allocator';
+import { testProfiles } from './test-profiles';
+import { latencyHistory } from './latency-history';
+import { latencyScheduler } from './latency-scheduler';
+import { eventStream } from './event-stream';
+import { userManager, hasRole, UserValidationError, PublicUser, ADMIN_USERNAME } from './user-manager';
+import { apiTokens, SCOPES, Scope, ApiTokenValidationError } from './api-tokens';
+import { loginLimiter } from './login-limiter';
+import { auditLog, AuditAction } from './audit-log';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const RESOURCES_PUBLISH_INTERVAL = 5000; // How often stream clients get a server resource sample
 
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Login endpoint
-app.post('/api/login', (req, res) => {
-  const { password } = req.body;
-  
-  if (password === ADMIN_PASSWORD) {
+// Login endpoint; the username defaults to the initial admin (ADMIN_USERNAME) for clients that only send a password
+app.post('/api/login', async (req, res) => {
+  const { username = ADMIN_USERNAME, password } = req.body;
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  const ip = req.ip || 'unknown';
+  const limit = loginLimiter.reserve(ip);
+  if (!limit.allowed) {
+    res.set('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ error: `Too many failed logins, try again in ${limit.retryAfter}s`, retryAfter: limit.retryAfter });
+  }
+  let user: PublicUser | null;
+  try {
+    user = await userManager.authenticate(username, password);
+  } catch (error: any) {
+    loginLimiter.release(ip);
+    return res.status(500).json({ error: error.message });
+  }
+  try {
+    if (!user) {
+      const lockout = loginLimiter.recordFailure(ip);
+      auditLog.record({ action: 'login.failed', actor: username, ip, details: { reason: 'invalid credentials' } });
+      if (!lockout.allowed) {
+        auditLog.record({ action: 'login.locked', actor: username, ip, details: { scope: lockout.reason, seconds: lockout.retryAfter } });
+        logger.log(`[Auth] Login locked for ${lockout.reason === 'global' ? 'all addresses' : ip} for ${lockout.retryAfter}s after repeated failures`);
+      }
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginLimiter.recordSuccess(ip);
     const token = generateSessionToken();
-    createSession(token);
-    res.json({ token, message: 'Login successful' });
-  } else {
-    res.status(401).json({ error: 'Invalid password' });
+    createSession(token, user.id, { userAgent: req.get('user-agent'), ip: req.ip });
+    auditLog.record({ action: 'login', actor: user.username, ip });
+    logger.log(`[Auth] ${user.username} logged in`);
+    res.json({ token, user, message: 'Login successful' });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Apply auth middleware to all routes except login and static files
 app.use(authMiddleware);
 
+// Record an audited action by the requesting user or API token
+function audit(req: express.Request<any>, res: express.Response, action: AuditAction, target?: string, details?: Record<string, any>): void {
+  const apiTokenId: string | undefined = res.locals.apiTokenId;
+  auditLog.record({
+    action,
+    actor: res.locals.user?.username ?? null,
+    apiToken: apiTokenId ? apiTokens.getToken(apiTokenId)?.name : undefined,
+    ip: req.ip ?? null,
+    target,
+    details
+  });
+}
+
+// Connections are logged by name; the ID is a timestamp that means nothing in an audit trail
+function connectionName(id: string): string {
+  return connectionManager.getConnection(id)?.name ?? id;
+}
+
+// The logged-in user, so the UI can hide actions the role can't perform
+app.get('/api/me', (req, res) => {
+  res.json({ user: res.locals.user });
+});
+
+// Destroy the current session server-side
+app.post('/api/logout', requireSession, (req, res) => {
+  const token = req.headers.authorization!.replace('Bearer ', '');
+  destroySession(token);
+  audit(req, res, 'logout');
+  logger.log(`[Auth] ${res.locals.user.username} logged out`);
+  res.json({ message: 'Logged out' });
+});
+
+// Sessions of the logged-in user; the current one is flagged
+app.get('/api/sessions', requireSession, (req, res) => {
+  const sessions = listUserSessions(res.locals.user.id).map(({ userId, ...session }) => ({
+    ...session,
+    current: session.id === res.locals.sessionId
+  }));
+  res.json({ sessions });
+});
+
+// Revoke one of the logged-in user's sessions
+app.delete('/api/sessions/:id', requireSession, (req, res) => {
+  const { id } = req.params;
+  if (!revokeSession(res.locals.user.id, id)) {
+    return res.status(404).json({ error: `Session "${id}" not found` });
+  }
+  logger.log(`[Auth] ${res.locals.user.username} revoked a session`);
+  res.json({ message: 'Session revoked' });
+});
+
 // API Routes
 app.get('/api/status', (req, res) => {
   res.json({
@@ -45,24 +140,36 @@ app.get('/api/status', (req, res) => {
   });
 });
 
-app.post('/api/start', async (req, res) => {
+app.post('/api/start', requireRole('operator'), async (req, res) => {
   try {
     await xrayManager.start();
+    audit(req, res, 'connection.start', xrayManager.getActiveConfigName() ?? undefined, { mode: 'single' });
     res.json({ message: 'Xray started' });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/stop', (req, res) => {
-  xrayManager.stop();
-  res.json({ message: 'Xray stopped' });
+app.post('/api/stop', requireRole('operator'), async (req, res) => {
+  try {
+    await xrayManager.stop();
+    audit(req, res, 'connection.stop', xrayManager.getActiveConfigName() ?? undefined, { mode: 'single' });
+    res.json({ message: 'Xray stopped' });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.get('/api/logs', (req, res) => {
   res.json({ logs: logger.getLogs() });
 });
 
+// Live updates as Server-Sent Events; the stream stays open until the client disconnects
+// or its session or API token is revoked
+app.get('/api/events', (req, res) => {
+  eventStream.subscribe(res, { sessionId: res.locals.sessionId, apiTokenId: res.locals.apiTokenId });
+});
+
 app.get('/api/configs', async (req, res) => {
   try {
     const configs = await xrayManager.listConfigs();
@@ -72,30 +179,35 @@ app.get('/api/configs', async (req, res) => {
   }
 });
 
-app.post('/api/configs', async (req, res) => {
+app.post('/api/configs', requireRole('admin'), async (req, res) => {
   const { name, config } = req.body;
   if (!name || !config) {
     return res.status(400).json({ error: 'Name and config are required' });
   }
   try {
     await xrayManager.addConfig(name, config);
+    audit(req, res, 'config.create', name);
     res.json({ message: `Config ${name} added` });
   } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/configs/:name', async (req, res) => {
+app.delete('/api/configs/:name', requireRole('admin'), async (req, res) => {
   const { name } = req.params;
   try {
     await xrayManager.removeConfig(name);
+    audit(req, res, 'config.delete', name);
     res.json({ message: `Config ${name} removed` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/configs/:name', async (req, res) => {
+app.put('/api/configs/:name', requireRole('admin'), async (req, res) => {
   const { name } = req.params;
   const { config } = req.body;
   if (!config) {
@@ -103,13 +215,17 @@ app.put('/api/configs/:name', async (req, res) => {
   }
   try {
     await xrayManager.updateConfig(name, config);
+    audit(req, res, 'config.update', name);
     res.json({ message: `Config ${name} updated` });
   } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-app.patch('/api/configs/:name', async (req, res) => {
+app.patch('/api/configs/:name', requireRole('admin'), async (req, res) => {
   const { name } = req.params;
   const { newName } = req.body;
   if (!newName) {
@@ -117,42 +233,393 @@ app.patch('/api/configs/:name', async (req, res) => {
   }
   try {
     await xrayManager.renameConfig(name, newName);
+    audit(req, res, 'config.rename', newName, { from: name });
     res.json({ message: `Config renamed from "${name}" to "${newName}"` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/test-latency', async (req, res) => {
+// ==================== Config Endpoints (v2, by ID) ====================
+// The /api/configs/:name routes above remain as compatibility shims for name-based clients.
+
+app.get('/api/v2/configs', async (req, res) => {
+  try {
+    const configs = await xrayManager.listConfigs();
+    res.json({ configs });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/v2/configs/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const config = await xrayManager.getConfigById(id);
+    if (!config) {
+      return res.status(404).json({ error: `Config with ID "${id}" not found` });
+    }
+    res.json({ config });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/v2/configs', requireRole('admin'), async (req, res) => {
+  const { name, config } = req.body;
+  if (!name || !config) {
+    return res.status(400).json({ error: 'Name and config are required' });
+  }
+  try {
+    const item = await xrayManager.addConfig(name, config);
+    audit(req, res, 'config.create', item.name, { id: item.id });
+    res.json({ message: `Config ${name} added`, config: item });
+  } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the Xray config of a config entry
+app.put('/api/v2/configs/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { config } = req.body;
+  if (!config) {
+    return res.status(400).json({ error: 'Config is required' });
+  }
+  if (!(await xrayManager.getConfigById(id))) {
+    return res.status(404).json({ error: `Config with ID "${id}" not found` });
+  }
+  try {
+    const item = await xrayManager.updateConfigById(id, config);
+    audit(req, res, 'config.update', item.name, { id });
+    res.json({ message: `Config ${item.name} updated`, config: item });
+  } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a config; its ID, results and connection stay the same
+app.patch('/api/v2/configs/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  const existing = await xrayManager.getConfigById(id);
+  if (!existing) {
+    return res.status(404).json({ error: `Config with ID "${id}" not found` });
+  }
+  try {
+    const item = await xrayManager.renameConfigById(id, name);
+    audit(req, res, 'config.rename', item.name, { id, from: existing.name });
+    res.json({ message: `Config renamed to "${item.name}"`, config: item });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Copy a config under a new ID (optional name in the body)
+app.post('/api/v2/configs/:id/duplicate', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body || {};
+  if (!(await xrayManager.getConfigById(id))) {
+    return res.status(404).json({ error: `Config with ID "${id}" not found` });
+  }
+  try {
+    const item = await xrayManager.duplicateConfig(id, name);
+    audit(req, res, 'config.duplicate', item.name, { id: item.id, sourceId: id });
+    res.json({ message: `Config duplicated as "${item.name}"`, config: item });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/v2/configs/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const existing = await xrayManager.getConfigById(id);
+  if (!existing) {
+    return res.status(404).json({ error: `Config with ID "${id}" not found` });
+  }
+  try {
+    await xrayManager.removeConfigById(id);
+    audit(req, res, 'config.delete', existing.name, { id });
+    res.json({ message: `Config ${id} removed` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate a config without saving it
+app.post('/api/configs/validate', requireRole('operator'), async (req, res) => {
+  const { config } = req.body;
+  if (!config) {
+    return res.status(400).json({ error: 'Config is required' });
+  }
+  try {
+    const result = await configValidator.validate(config);
+    res.json(result);
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse a share link into an Xray config without saving it
+app.post('/api/configs/parse-link', requireRole('operator'), (req, res) => {
+  const { link } = req.body;
+  if (!link) {
+    return res.status(400).json({ error: 'Link is required' });
+  }
+  try {
+    const parsed = parseShareLink(link);
+    res.json(parsed);
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Import a config from a vless://, vmess://, trojan:// or ss:// share link
+app.post('/api/configs/import', requireRole('admin'), async (req, res) => {
+  const { link, name } = req.body;
+  if (!link) {
+    return res.status(400).json({ error: 'Link is required' });
+  }
+
+  let parsed;
+  try {
+    parsed = parseShareLink(link);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const configName = (name || '').trim() || parsed.name;
+  try {
+    await xrayManager.addConfig(configName, parsed.config);
+    audit(req, res, 'config.import', configName, { protocol: link.split('://')[0] });
+    res.json({ message: `Config ${configName} imported`, name: configName });
+  } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a config as a share link
+app.get('/api/configs/:name/export', async (req, res) => {
+  const { name } = req.params;
+  let item;
+  try {
+    item = await xrayManager.getConfig(name);
+  } catch (error: any) {
+    return res.status(404).json({ error: error.message });
+  }
+  try {
+    res.json({ name: item.name, link: buildShareLink(item.config, item.name) });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Render a config's share link as a QR code (?format=png|svg)
+app.get('/api/configs/:name/qr', async (req, res) => {
+  const { name } = req.params;
+  const format = req.query.format === 'svg' ? 'svg' : 'png';
+  let item;
+  try {
+    item = await xrayManager.getConfig(name);
+  } catch (error: any) {
+    return res.status(404).json({ error: error.message });
+  }
+  try {
+    const link = buildShareLink(item.config, item.name);
+    if (format === 'svg') {
+      const svg = await QRCode.toString(link, { type: 'svg', margin: 2 });
+      res.type('image/svg+xml').send(svg);
+    } else {
+      const png = await QRCode.toBuffer(link, { type: 'png', margin: 2, width: 320 });
+      res.type('image/png').send(png);
+    }
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/test-latency', requireRole('operator'), async (req, res) => {
+  const { profileId } = req.body || {};
+  try {
+    testProfiles.getProfile(profileId);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
   try {
     // Run tests in background
-    latencyTester.runTests().catch(err => logger.log(`Background test error: ${err.message}`));
+    latencyTester.runTests(profileId).catch(err => logger.log(`Background test error: ${err.message}`));
     res.json({ message: 'Latency testing started' });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/test-latency/:name', async (req, res) => {
-  const { name } = req.params;
+// Cancel running latency tests and clean up their xray processes and temp configs
+app.post('/api/test-latency/cancel', requireRole('operator'), async (req, res) => {
+  try {
+    const cancelled = await latencyTester.cancel();
+    res.json({ message: cancelled ? 'Latency testing cancelled' : 'No latency test was running; leftover test processes cleaned up', cancelled });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test one config, by ID (config names are still accepted)
+app.post('/api/test-latency/:id', requireRole('operator'), async (req, res) => {
+  const { id } = req.params;
+  const { profileId } = req.body || {};
+  try {
+    testProfiles.getProfile(profileId);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
   try {
     // Run single test in background
-    latencyTester.runSingleTest(name).catch(err => logger.log(`Background single test error: ${err.message}`));
-    res.json({ message: `Latency testing started for config ${name}` });
+    latencyTester.runSingleTest(id, profileId).catch(err => logger.log(`Background single test error: ${err.message}`));
+    res.json({ message: `Latency testing started for config ${id}` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/test-results', (req, res) => {
-  res.json({
-    results: latencyTester.getResults(),
-    isTesting: latencyTester.getIsTesting()
-  });
+app.get('/api/test-results', async (req, res) => {
+  try {
+    // Results are keyed by config ID; show the config's current name in case it was renamed
+    const configs = await xrayManager.listConfigs();
+    const results = latencyTester.getResults().map(result => ({
+      ...result,
+      name: configs.find(c => c.id === result.id)?.name ?? result.name
+    }));
+    res.json({
+      results,
+      isTesting: latencyTester.getIsTesting()
+    });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Latency time series, for one config or all of them
+app.get('/api/test-results/history', (req, res) => {
+  const configId = req.query.configId as string | undefined;
+  const since = req.query.since ? Date.parse(req.query.since as string) : 0;
+  if (Number.isNaN(since)) {
+    return res.status(400).json({ error: 'Invalid since date' });
+  }
+  try {
+    const retentionDays = latencyHistory.getRetentionDays();
+    if (configId) {
+      res.json({ configId, retentionDays, points: latencyHistory.getSeries(configId, since) });
+    } else {
+      res.json({ retentionDays, series: latencyHistory.getAllSeries(since) });
+    }
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== Test Profile Endpoints ====================
+
+// List latency test profiles
+app.get('/api/test-profiles', (req, res) => {
+  res.json({ profiles: testProfiles.getProfiles() });
+});
+
+// Create a latency test profile
+app.post('/api/test-profiles', requireRole('admin'), async (req, res) => {
+  const { name, targets, samples, expectedStatus } = req.body;
+  try {
+    const profile = await testProfiles.addProfile({ name, targets, samples, expectedStatus });
+    res.json({ message: `Test profile "${profile.name}" added`, profile });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a latency test profile
+app.put('/api/test-profiles/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name, targets, samples, expectedStatus } = req.body;
+  try {
+    const profile = await testProfiles.updateProfile(id, { name, targets, samples, expectedStatus });
+    res.json({ message: `Test profile "${profile.name}" updated`, profile });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a latency test profile
+app.delete('/api/test-profiles/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await testProfiles.removeProfile(id);
+    res.json({ message: `Test profile "${id}" deleted` });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== Latency Schedule Endpoints ====================
+
+// List scheduled latency sweeps with their next run time
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: latencyScheduler.getSchedules() });
+});
+
+// Create a scheduled latency sweep
+app.post('/api/schedules', requireRole('admin'), async (req, res) => {
+  const { name, intervalMinutes, activeHours, profileId, skipRunning, enabled } = req.body;
+  try {
+    const schedule = await latencyScheduler.addSchedule({ name, intervalMinutes, activeHours, profileId, skipRunning, enabled });
+    res.json({ message: `Schedule "${schedule.name}" added`, schedule });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a scheduled latency sweep
+app.put('/api/schedules/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name, intervalMinutes, activeHours, profileId, skipRunning, enabled } = req.body;
+  if (!latencyScheduler.getSchedule(id)) {
+    return res.status(404).json({ error: `Schedule "${id}" not found` });
+  }
+  try {
+    const schedule = await latencyScheduler.updateSchedule(id, { name, intervalMinutes, activeHours, profileId, skipRunning, enabled });
+    res.json({ message: `Schedule "${schedule.name}" updated`, schedule });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a scheduled latency sweep
+app.delete('/api/schedules/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  if (!latencyScheduler.getSchedule(id)) {
+    return res.status(404).json({ error: `Schedule "${id}" not found` });
+  }
+  try {
+    await latencyScheduler.removeSchedule(id);
+    res.json({ message: `Schedule "${id}" deleted` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Speed Test endpoints
-app.post('/api/speed-test', async (req, res) => {
+app.post('/api/speed-test', requireRole('operator'), async (req, res) => {
   try {
     const { connectionId } = req.body;
     // Run speed test in background
@@ -170,18 +637,27 @@ app.get('/api/speed-test', (req, res) => {
   });
 });
 
-app.post('/api/speed-test/reset', (req, res) => {
+app.post('/api/speed-test/cancel', requireRole('operator'), (req, res) => {
+  if (!speedTester.cancel()) {
+    return res.status(409).json({ error: 'No speed test is running' });
+  }
+  res.json({ message: 'Speed test cancelled' });
+});
+
+app.post('/api/speed-test/reset', requireRole('operator'), (req, res) => {
   speedTester.reset();
   res.json({ message: 'Speed test reset' });
 });
 
-app.post('/api/switch', async (req, res) => {
+// Switch the main config, by config ID (config names are still accepted)
+app.post('/api/switch', requireRole('operator'), async (req, res) => {
   const { id } = req.body;
   if (!id) {
     return res.status(400).json({ error: 'Config ID is required' });
   }
   try {
     await xrayManager.switchConfig(id);
+    audit(req, res, 'connection.switch', xrayManager.getActiveConfigName() ?? id, { mode: 'single' });
     res.json({ message: `Switched to config ${id}` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -201,24 +677,34 @@ app.get('/api/connections', (req, res) => {
 });
 
 // Add a connection to the list
-app.post('/api/connections', async (req, res) => {
-  const { name, basePort } = req.body;
-  if (!name) {
-    return res.status(400).json({ error: 'Name is required' });
+app.post('/api/connections', requireRole('admin'), async (req, res) => {
+  // configId is preferred; name is kept for older clients
+  const { configId, name, basePort } = req.body;
+  if (!configId && !name) {
+    return res.status(400).json({ error: 'Config ID or name is required' });
   }
   try {
-    await connectionManager.addConnection(name, basePort);
-    res.json({ message: `Connection "${name}" added` });
+    await connectionManager.addConnection(configId || name, basePort);
+    audit(req, res, 'connection.add', connectionName(configId || name), basePort !== undefined ? { basePort } : undefined);
+    res.json({ message: `Connection "${configId || name}" added` });
   } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    if (error instanceof PortConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Remove a connection from the list
-app.delete('/api/connections/:id', async (req, res) => {
+app.delete('/api/connections/:id', requireRole('admin'), async (req, res) => {
   const { id } = req.params;
+  const target = connectionName(id);
   try {
     await connectionManager.removeConnection(id);
+    audit(req, res, 'connection.remove', target);
     res.json({ message: `Connection "${id}" removed` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -226,7 +712,7 @@ app.delete('/api/connections/:id', async (req, res) => {
 });
 
 // Update connection port
-app.put('/api/connections/:id/port', async (req, res) => {
+app.put('/api/connections/:id/port', requireRole('admin'), async (req, res) => {
   const { id } = req.params;
   const { basePort } = req.body;
   
@@ -234,16 +720,114 @@ app.put('/api/connections/:id/port', async (req, res) => {
     return res.status(400).json({ error: 'basePort must be a number' });
   }
   
+  const previousPort = connectionManager.getConnection(id)?.port;
   try {
     await connectionManager.updateConnectionPort(id, basePort);
+    audit(req, res, 'connection.port', connectionName(id), { from: previousPort, to: basePort });
     res.json({ message: `Connection "${id}" port updated to ${basePort}` });
+  } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    if (error instanceof PortConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enable or disable relaunching a connection on server boot
+app.put('/api/connections/:id/autostart', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { autostart } = req.body;
+
+  if (typeof autostart !== 'boolean') {
+    return res.status(400).json({ error: 'autostart must be a boolean' });
+  }
+
+  try {
+    await connectionManager.setAutostart(id, autostart);
+    res.json({ message: `Connection "${id}" autostart ${autostart ? 'enabled' : 'disabled'}` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the effective auto-restart policy and counters of a connection
+app.get('/api/connections/:id/restart-policy', (req, res) => {
+  const { id } = req.params;
+  const connection = connectionManager.getConnection(id);
+  if (!connection) {
+    return res.status(404).json({ error: `Connection ${id} not found` });
+  }
+  res.json({
+    id,
+    policy: connectionManager.getRestartPolicy(connection),
+    overrides: connection.restartPolicy ?? {},
+    restart: connection.restart ?? null
+  });
+});
+
+// Override auto-restart settings of a connection (omitted or null fields use the defaults)
+app.put('/api/connections/:id/restart-policy', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  if (!connectionManager.getConnection(id)) {
+    return res.status(404).json({ error: `Connection ${id} not found` });
+  }
+  try {
+    const policy = await connectionManager.setRestartPolicy(id, req.body);
+    res.json({ message: `Restart policy updated for connection "${id}"`, policy });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get traffic quota and expiry of a connection
+app.get('/api/connections/:id/quota', (req, res) => {
+  const { id } = req.params;
+  const connection = connectionManager.getConnection(id);
+  if (!connection) {
+    return res.status(404).json({ error: `Connection ${id} not found` });
+  }
+  res.json({ id, status: connection.status, quota: connection.quota ?? null });
+});
+
+// Set traffic quota and expiry of a connection (null clears a field)
+app.put('/api/connections/:id/quota', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  if (!connectionManager.getConnection(id)) {
+    return res.status(404).json({ error: `Connection ${id} not found` });
+  }
+  const { limitBytes, period } = req.body;
+  let { expiresAt } = req.body;
+  // Accept ISO dates as well as millisecond timestamps
+  if (typeof expiresAt === 'string') {
+    expiresAt = Date.parse(expiresAt);
+    if (isNaN(expiresAt)) {
+      return res.status(400).json({ error: 'expiresAt must be a valid date' });
+    }
+  }
+  try {
+    const quota = await connectionManager.setQuota(id, { limitBytes, period, expiresAt });
+    res.json({ message: `Quota updated for connection "${id}"`, quota: quota ?? null });
+  } catch (error: any) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reset the traffic counted in the current quota period
+app.post('/api/connections/:id/quota/reset', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await connectionManager.resetQuotaUsage(id);
+    res.json({ message: `Quota usage reset for connection "${id}"` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Reorder connections
-app.put('/api/connections/reorder', async (req, res) => {
+app.put('/api/connections/reorder', requireRole('admin'), async (req, res) => {
   const { ids } = req.body;
   if (!Array.isArray(ids)) {
     return res.status(400).json({ error: 'IDs array is required' });
@@ -257,21 +841,29 @@ app.put('/api/connections/reorder', async (req, res) => {
 });
 
 // Start a specific connection
-app.post('/api/connections/:id/start', async (req, res) => {
+app.post('/api/connections/:id/start', requireRole('operator'), async (req, res) => {
   const { id } = req.params;
   try {
     await connectionManager.startConnection(id);
+    audit(req, res, 'connection.start', connectionName(id));
     res.json({ message: `Connection "${id}" started` });
   } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    if (error instanceof PortConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Stop a specific connection
-app.post('/api/connections/:id/stop', async (req, res) => {
+app.post('/api/connections/:id/stop', requireRole('operator'), async (req, res) => {
   const { id } = req.params;
   try {
     await connectionManager.stopConnection(id);
+    audit(req, res, 'connection.stop', connectionName(id));
     res.json({ message: `Connection "${id}" stopped` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -279,10 +871,11 @@ app.post('/api/connections/:id/stop', async (req, res) => {
 });
 
 // Restart a specific connection
-app.post('/api/connections/:id/restart', async (req, res) => {
+app.post('/api/connections/:id/restart', requireRole('operator'), async (req, res) => {
   const { id } = req.params;
   try {
     await connectionManager.restartConnection(id);
+    audit(req, res, 'connection.restart', connectionName(id));
     res.json({ message: `Connection "${id}" restarted` });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -290,9 +883,10 @@ app.post('/api/connections/:id/restart', async (req, res) => {
 });
 
 // Start all connections
-app.post('/api/connections/start-all', async (req, res) => {
+app.post('/api/connections/start-all', requireRole('operator'), async (req, res) => {
   try {
     await connectionManager.startAll();
+    audit(req, res, 'connection.start-all');
     res.json({ message: 'All connections started' });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -300,9 +894,10 @@ app.post('/api/connections/start-all', async (req, res) => {
 });
 
 // Stop all connections
-app.post('/api/connections/stop-all', async (req, res) => {
+app.post('/api/connections/stop-all', requireRole('operator'), async (req, res) => {
   try {
     await connectionManager.stopAll();
+    audit(req, res, 'connection.stop-all');
     res.json({ message: 'All connections stopped' });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -330,54 +925,404 @@ app.get('/api/connections/:id/status', (req, res) => {
   }
 });
 
+// Traffic counters and rates of all connections
+app.get('/api/connections/stats', (req, res) => {
+  try {
+    res.json({ stats: trafficStats.getAllStats() });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Traffic counters and rates of a specific connection
+app.get('/api/connections/:id/stats', (req, res) => {
+  const { id } = req.params;
+  if (!connectionManager.getConnection(id)) {
+    return res.status(404).json({ error: `Connection ${id} not found` });
+  }
+  res.json(trafficStats.getStats(id));
+});
+
+// ==================== Port Endpoints ====================
+
+// Suggest a base port where every inbound of the config is free
+app.get('/api/ports/suggest', async (req, res) => {
+  const configId = typeof req.query.configId === 'string' ? req.query.configId : undefined;
+  const name = typeof req.query.name === 'string' ? req.query.name : undefined;
+  const from = req.query.from !== undefined ? parseInt(String(req.query.from), 10) : CONNECTION_START_PORT;
+  if (isNaN(from)) {
+    return res.status(400).json({ error: 'from must be a port number' });
+  }
+  let configItem = null;
+  if (configId) {
+    configItem = await xrayManager.getConfigById(configId);
+    if (!configItem) {
+      return res.status(404).json({ error: `Config with ID "${configId}" not found` });
+    }
+  } else if (name) {
+    try {
+      configItem = await xrayManager.getConfig(name);
+    } catch (error: any) {
+      return res.status(404).json({ error: error.message });
+    }
+  }
+  try {
+    const offsets = configItem ? getInboundOffsets(configItem.config) : [0];
+    const basePort = await portAllocator.suggestBasePort(offsets, from, configItem?.id);
+    res.json({ basePort, ports: offsets.map(offset => basePort + offset) });
+  } catch (error: any) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug view of the port pool, current leases, reserved ranges and connection ports
+app.get('/api/ports/leases', (req, res) => {
+  res.json({
+    pool: portAllocator.getPool(),
+    leases: portAllocator.getLeases(),
+    reserved: portAllocator.getReservedRanges(),
+    claims: portAllocator.getClaims()
+  });
+});
+
+// ==================== Health & Failover Endpoints ====================
+
+// Health state of every connection
+app.get('/api/health', (req, res) => {
+  const connections = connectionManager.getConnections().map(c => ({
+    id: c.id,
+    name: c.name,
+    basePort: c.basePort,
+    status: c.status,
+    health: c.health ?? null
+  }));
+  res.json({ enabled: connectionManager.isHealthMonitorEnabled(), connections });
+});
+
+// Run health checks now instead of waiting for the next interval
+app.post('/api/health/check', requireRole('operator'), async (req, res) => {
+  try {
+    await connectionManager.runHealthChecks();
+    res.json({ message: 'Health checks completed' });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent failover events, newest first
+app.get('/api/failover/events', (req, res) => {
+  res.json({ events: connectionManager.getFailoverEvents().reverse() });
+});
+
+// ==================== Gateway Endpoints ====================
+
+// Gateway settings and per-upstream connection counts
+app.get('/api/gateway', (req, res) => {
+  res.json({
+    config: gateway.getConfig(),
+    running: gateway.isRunning(),
+    error: gateway.getLastError(),
+    upstreams: gateway.getUpstreamStats()
+  });
+});
+
+// Update gateway settings (enabled, port, listen, strategy)
+app.put('/api/gateway', requireRole('admin'), async (req, res) => {
+  const { enabled, port, listen, strategy } = req.body;
+  try {
+    const from = gateway.getConfig();
+    await gateway.updateConfig({ enabled, port, listen, strategy });
+    audit(req, res, 'gateway.update', undefined, { from, to: gateway.getConfig() });
+    res.json({ message: 'Gateway updated', config: gateway.getConfig(), running: gateway.isRunning() });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== Subscription Endpoints ====================
+
+// Audit details of a refresh: the config counts, or why it failed
+function refreshResult(subscription: Subscription): Record<string, any> {
+  return subscription.lastStatus === 'ok'
+    ? { ...subscription.lastChanges }
+    : { error: subscription.lastError };
+}
+
+// List subscriptions with their last refresh status
+app.get('/api/subscriptions', (req, res) => {
+  const subscriptions = subscriptionManager.getSubscriptions().map(s => ({
+    ...s,
+    refreshing: subscriptionManager.isRefreshing(s.id)
+  }));
+  res.json({ subscriptions });
+});
+
+// Register a subscription and fetch it right away
+app.post('/api/subscriptions', requireRole('admin'), async (req, res) => {
+  const { name, url, intervalMinutes } = req.body;
+  if (!name || !url) {
+    return res.status(400).json({ error: 'Name and URL are required' });
+  }
+  try {
+    const subscription = await subscriptionManager.addSubscription(name, url, intervalMinutes);
+    const refreshed = await subscriptionManager.refreshSubscription(subscription.id);
+    audit(req, res, 'subscription.add', name, { url, ...refreshResult(refreshed) });
+    res.json({ message: `Subscription "${name}" added`, subscription: refreshed });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update subscription name, URL or refresh interval
+app.put('/api/subscriptions/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name, url, intervalMinutes } = req.body;
+  try {
+    await subscriptionManager.updateSubscription(id, { name, url, intervalMinutes });
+    audit(req, res, 'subscription.update', subscriptionManager.getSubscription(id)?.name ?? id, {
+      ...(name !== undefined && { name }),
+      ...(url !== undefined && { url }),
+      ...(intervalMinutes !== undefined && { intervalMinutes })
+    });
+    res.json({ message: `Subscription "${id}" updated` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a subscription and the configs it owns
+app.delete('/api/subscriptions/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const subscriptionName = subscriptionManager.getSubscription(id)?.name ?? id;
+    const removed = await subscriptionManager.removeSubscription(id);
+    audit(req, res, 'subscription.delete', subscriptionName, { removed });
+    res.json({ message: `Subscription "${id}" removed` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refresh a subscription now
+app.post('/api/subscriptions/:id/refresh', requireRole('operator'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const subscription = await subscriptionManager.refreshSubscription(id);
+    audit(req, res, 'subscription.refresh', subscription.name, refreshResult(subscription));
+    res.json({ message: `Subscription "${subscription.name}" refreshed`, subscription });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== User Management ====================
+
+app.get('/api/users', requireSession, requireRole('admin'), (req, res) => {
+  res.json({ users: userManager.getUsers() });
+});
+
+app.post('/api/users', requireSession, requireRole('admin'), async (req, res) => {
+  const { username, password, role } = req.body;
+  if (!username || !password || !role) {
+    return res.status(400).json({ error: 'Username, password and role are required' });
+  }
+  try {
+    const user = await userManager.addUser({ username, password, role });
+    audit(req, res, 'user.create', user.username, { role: user.role });
+    res.json({ message: `User "${user.username}" added`, user });
+  } catch (error: any) {
+    if (error instanceof UserValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role or reset their password
+app.put('/api/users/:id', requireSession, requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { username, password, role } = req.body;
+  if (!userManager.getUser(id)) {
+    return res.status(404).json({ error: `User "${id}" not found` });
+  }
+  try {
+    const user = await userManager.updateUser(id, { username, password, role });
+    audit(req, res, 'user.update', user.username, {
+      ...(role !== undefined && { role }),
+      ...(username !== undefined && { username }),
+      ...(password !== undefined && { passwordReset: true })
+    });
+    // A password reset signs the user out everywhere except the admin's own session
+    if (password !== undefined) {
+      revokeUserSessions(id, res.locals.sessionId);
+    }
+    res.json({ message: `User "${user.username}" updated`, user });
+  } catch (error: any) {
+    if (error instanceof UserValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireSession, requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const user = userManager.getUser(id);
+  if (!user) {
+    return res.status(404).json({ error: `User "${id}" not found` });
+  }
+  try {
+    await userManager.removeUser(id);
+    revokeUserSessions(id);
+    await apiTokens.revokeUserTokens(id);
+    audit(req, res, 'user.delete', user.username);
+    res.json({ message: `User "${user.username}" removed` });
+  } catch (error: any) {
+    if (error instanceof UserValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== API Tokens ====================
+
+// Own tokens; admins see everyone's
+app.get('/api/tokens', requireSession, (req, res) => {
+  const user = res.locals.user;
+  const tokens = apiTokens.getTokens(user.role === 'admin' ? undefined : user.id).map(token => ({
+    ...token,
+    username: userManager.getUser(token.userId)?.username
+  }));
+  res.json({ tokens });
+});
+
+// The plain token is in the response only; it can't be retrieved later
+app.post('/api/tokens', requireSession, async (req, res) => {
+  const { name, scope, expiresInDays } = req.body;
+  if (!name || !scope) {
+    return res.status(400).json({ error: 'Name and scope are required' });
+  }
+  if (scope in SCOPES && !hasRole(res.locals.user.role, SCOPES[scope as Scope])) {
+    return res.status(403).json({ error: `Your role cannot create ${scope} tokens` });
+  }
+  try {
+    const { token, apiToken } = await apiTokens.createToken(res.locals.user.id, { name, scope, expiresInDays });
+    audit(req, res, 'token.create', apiToken.name, { scope: apiToken.scope });
+    res.json({ message: `API token "${apiToken.name}" created`, token, apiToken });
+  } catch (error: any) {
+    if (error instanceof ApiTokenValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Owners revoke their own tokens; admins can revoke any
+app.delete('/api/tokens/:id', requireSession, async (req, res) => {
+  const { id } = req.params;
+  const user = res.locals.user;
+  const token = apiTokens.getToken(id);
+  if (!token || (token.userId !== user.id && user.role !== 'admin')) {
+    return res.status(404).json({ error: `API token "${id}" not found` });
+  }
+  try {
+    await apiTokens.revokeToken(id);
+    audit(req, res, 'token.revoke', token.name, token.userId !== res.locals.user.id ? { owner: userManager.getUser(token.userId)?.username } : undefined);
+    res.json({ message: `API token "${token.name}" revoked` });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== Audit Log ====================
+
+// Newest first; ?action= (exact, or a prefix such as "config"), ?actor=, ?since= and ?until= (dates), ?limit=
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const action = typeof req.query.action === 'string' && req.query.action ? req.query.action : undefined;
+  const actor = typeof req.query.actor === 'string' && req.query.actor ? req.query.actor : undefined;
+  const since = req.query.since ? Date.parse(req.query.since as string) : undefined;
+  const until = req.query.until ? Date.parse(req.query.until as string) : undefined;
+  const limit = req.query.limit ? parseInt(String(req.query.limit), 10) : undefined;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: 'since and until must be dates' });
+  }
+  if (Number.isNaN(limit)) {
+    return res.status(400).json({ error: 'limit must be a number' });
+  }
+  try {
+    const entries = await auditLog.query({ action, actor, since, until, limit });
+    res.json({ entries });
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== Server Resources Endpoint ====================
 
 app.get('/api/resources', (req, res) => {
   try {
-    // Memory usage
-    const totalMemory = os.totalmem();
-    const freeMemory = os.freemem();
-    const usedMemory = totalMemory - freeMemory;
-    const memoryPercentage = Math.round((usedMemory / totalMemory) * 100);
-    
-    // CPU usage (sample over a short interval)
-    const cpuCores = os.cpus().length;
-    const cpuLoad = os.loadavg();
-    // Convert load average to percentage (approximation)
-    const cpuPercentage = Math.min(Math.round((cpuLoad[0] / cpuCores) * 100), 100);
-    
-    // Disk usage (root partition)
-    const diskUsage = getDiskUsage();
-    
-    // Network statistics (active connections)
-    const networkStats = getNetworkStats();
-    
-    res.json({
-      memory: {
-        used: usedMemory,
-        total: totalMemory,
-        percentage: memoryPercentage
-      },
-      cpu: {
-        usage: cpuPercentage,
-        cores: cpuCores
-      },
-      disk: {
-        used: diskUsage.used,
-        total: diskUsage.total,
-        percentage: diskUsage.percentage
-      },
-      network: {
-        connections: networkStats.connections,
-        inbound: networkStats.inbound,
-        outbound: networkStats.outbound
-      }
-    });
+    res.json(getResourceSample());
   } catch (error: any) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Push resource samples only while someone is listening; df and ss are not free
+const resourcesTimer = setInterval(() => {
+  if (!eventStream.hasClients()) return;
+  try {
+    eventStream.publish('resources', getResourceSample());
+  } catch (err: any) {
+    logger.log(`[Resources] Failed to sample resources: ${err.message}`);
+  }
+}, RESOURCES_PUBLISH_INTERVAL);
+
+function getResourceSample() {
+  // Memory usage
+  const totalMemory = os.totalmem();
+  const freeMemory = os.freemem();
+  const usedMemory = totalMemory - freeMemory;
+  const memoryPercentage = Math.round((usedMemory / totalMemory) * 100);
+  
+  // CPU usage (sample over a short interval)
+  const cpuCores = os.cpus().length;
+  const cpuLoad = os.loadavg();
+  // Convert load average to percentage (approximation)
+  const cpuPercentage = Math.min(Math.round((cpuLoad[0] / cpuCores) * 100), 100);
+  
+  // Disk usage (root partition)
+  const diskUsage = getDiskUsage();
+  
+  // Network statistics (active connections)
+  const networkStats = getNetworkStats();
+  
+  return {
+    memory: {
+      used: usedMemory,
+      total: totalMemory,
+      percentage: memoryPercentage
+    },
+    cpu: {
+      usage: cpuPercentage,
+      cores: cpuCores
+    },
+    disk: {
+      used: diskUsage.used,
+      total: diskUsage.total,
+      percentage: diskUsage.percentage
+    },
+    network: {
+      connections: networkStats.connections,
+      inbound: networkStats.inbound,
+      outbound: networkStats.outbound
+    }
+  };
+}
+
 // Helper function to get disk usage
 function getDiskUsage() {
   try {
@@ -423,13 +1368,67 @@ function getNetworkStats() {
   return { connections: 0, inbound: 0, outbound: 0 };
 }
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`Server running on http://localhost:${PORT}`);
   try {
+    await userManager.loadState();
+    await loadSessions();
+    await apiTokens.loadState();
     await xrayManager.migrateConfigs();
+    await testProfiles.loadState();
+    await latencyHistory.loadState();
+    await latencyTester.loadState();
+    await latencyScheduler.loadState();
+    latencyScheduler.startScheduler();
     await connectionManager.loadState();
     await connectionManager.migrateFromSingleConnection();
+    await connectionManager.restoreConnections();
+    connectionManager.startHealthMonitor();
+    await connectionManager.checkQuotas();
+    connectionManager.startQuotaMonitor();
+    await gateway.loadState();
+    await subscriptionManager.loadState();
+    subscriptionManager.startScheduler();
+    trafficStats.on('traffic', (id: string, delta: TrafficCounter) => {
+      connectionManager.recordTraffic(id, delta.uplink + delta.downlink)
+        .catch(err => logger.log(`[Quota] Failed to record traffic for ${id}: ${err.message}`));
+    });
+    trafficStats.start();
   } catch (err: any) {
     console.error('Migration failed:', err.message);
   }
 });
+
+// ==================== Shutdown ====================
+
+let shuttingDown = false;
+
+// Stop every xray child before exiting so none are left orphaned
+async function shutdown(signal: string): Promise<void> {
+  if (shuttingDown) {
+    console.log(`Received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`Received ${signal}, shutting down...`);
+
+  try {
+    trafficStats.stop();
+    subscriptionManager.stopScheduler();
+    latencyScheduler.stopScheduler();
+    clearInterval(resourcesTimer);
+    eventStream.closeAll();
+    await gateway.stop();
+    await connectionManager.shutdown();
+    await processSupervisor.terminateAll();
+    await latencyHistory.flush();
+  } catch (err: any) {
+    console.error('Shutdown failed:', err.message);
+  }
+
+  server.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
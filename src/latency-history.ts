@@ -0,0 +1,126 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+
+const LATENCY_HISTORY_JSON_PATH = path.join(__dirname, '../configs/latency-history.json');
+
+// Configuration from environment variables
+const LATENCY_HISTORY_RETENTION_DAYS = parseInt(process.env.LATENCY_HISTORY_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface LatencyRun {
+  timestamp: number;
+  configId: string;
+  profileId: string;
+  latency: number | null;        // Median over every sample, null when all failed
+  p95: number | null;
+  successRate: number;
+  targets: { url: string; samples: (number | null)[] }[]; // Raw durations in ms, null for failures
+}
+
+export interface LatencyPoint {
+  timestamp: number;
+  profileId: string;
+  latency: number | null;
+  p95: number | null;
+  successRate: number;
+}
+
+class LatencyHistory {
+  private runs: LatencyRun[] = [];
+  private saving: Promise<void> = Promise.resolve();
+  private dirty: boolean = false;                // Runs recorded since the last write
+
+  async loadState(): Promise<void> {
+    try {
+      if (!(await fs.pathExists(LATENCY_HISTORY_JSON_PATH))) return;
+      this.runs = await fs.readJson(LATENCY_HISTORY_JSON_PATH);
+      const pruned = this.prune();
+      logger.log(`[LatencyHistory] Loaded ${this.runs.length} runs${pruned > 0 ? `, dropped ${pruned} past retention` : ''}`);
+    } catch (err: any) {
+      logger.log(`[LatencyHistory] Failed to load state: ${err.message}`);
+    }
+  }
+
+  // Writes are chained so parallel tests never interleave two writes of the file
+  private saveState(): Promise<void> {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(LATENCY_HISTORY_JSON_PATH));
+        await fs.writeJson(LATENCY_HISTORY_JSON_PATH, this.runs);
+      } catch (err: any) {
+        logger.log(`[LatencyHistory] Failed to save state: ${err.message}`);
+      }
+    });
+    return this.saving;
+  }
+
+  // Kept in memory only; the tester flushes once a run finishes instead of rewriting the file per config
+  record(run: LatencyRun): void {
+    this.runs.push(run);
+    this.prune();
+    this.dirty = true;
+  }
+
+  async flush(): Promise<void> {
+    if (!this.dirty) return;
+    this.dirty = false;
+    await this.saveState();
+  }
+
+  // Most recent run of every config
+  getLatestRuns(): LatencyRun[] {
+    const latest = new Map<string, LatencyRun>();
+    this.runs.forEach(run => {
+      const current = latest.get(run.configId);
+      if (!current || run.timestamp >= current.timestamp) {
+        latest.set(run.configId, run);
+      }
+    });
+    return Array.from(latest.values());
+  }
+
+  // Time series of one config, oldest first
+  getSeries(configId: string, since: number = 0): LatencyPoint[] {
+    return this.runs
+      .filter(run => run.configId === configId && run.timestamp >= since)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(toPoint);
+  }
+
+  // Time series of every config, keyed by config ID
+  getAllSeries(since: number = 0): Record<string, LatencyPoint[]> {
+    const series: Record<string, LatencyPoint[]> = {};
+    this.runs
+      .filter(run => run.timestamp >= since)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(run => {
+        if (!series[run.configId]) series[run.configId] = [];
+        series[run.configId].push(toPoint(run));
+      });
+    return series;
+  }
+
+  getRetentionDays(): number {
+    return LATENCY_HISTORY_RETENTION_DAYS;
+  }
+
+  private prune(): number {
+    const cutoff = Date.now() - LATENCY_HISTORY_RETENTION_DAYS * DAY_MS;
+    const before = this.runs.length;
+    this.runs = this.runs.filter(run => run.timestamp >= cutoff);
+    return before - this.runs.length;
+  }
+}
+
+function toPoint(run: LatencyRun): LatencyPoint {
+  return {
+    timestamp: run.timestamp,
+    profileId: run.profileId,
+    latency: run.latency,
+    p95: run.p95,
+    successRate: run.successRate
+  };
+}
+
+export const latencyHistory = new LatencyHistory();
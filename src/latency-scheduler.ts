@@ -0,0 +1,231 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+import { latencyTester } from './latency-tester';
+import { testProfiles, DEFAULT_PROFILE_ID } from './test-profiles';
+import { connectionManager, ConnectionStatus } from './connection-manager';
+
+const SCHEDULES_JSON_PATH = path.join(__dirname, '../configs/schedules.json');
+
+const SCHEDULER_TICK = 60 * 1000; // Check for due sweeps every minute
+const HOUR_MS = 60 * 60 * 1000;
+
+export interface ActiveHours {
+  start: number;                 // Local hour the window opens (0-23)
+  end: number;                   // Local hour it closes, exclusive; wraps past midnight when below start
+}
+
+export interface LatencySchedule {
+  id: string;
+  name: string;
+  intervalMinutes: number;
+  activeHours: ActiveHours | null; // null runs around the clock
+  profileId: string;
+  skipRunning: boolean;          // Leave configs of running connections out of the sweep
+  enabled: boolean;
+  lastRun: number | null;
+  lastStatus: 'ok' | 'error' | null;
+  lastError?: string;
+}
+
+type ScheduleInput = Partial<Pick<LatencySchedule, 'name' | 'intervalMinutes' | 'activeHours' | 'profileId' | 'skipRunning' | 'enabled'>>;
+
+export function isWithinActiveHours(hours: ActiveHours | null, date: Date): boolean {
+  if (!hours || hours.start === hours.end) return true;
+  const hour = date.getHours();
+  return hours.start < hours.end
+    ? hour >= hours.start && hour < hours.end
+    : hour >= hours.start || hour < hours.end;
+}
+
+// When the schedule runs next: one interval after the last run, moved to the start of the next active window
+export function getNextRun(schedule: LatencySchedule, now: number = Date.now()): number | null {
+  if (!schedule.enabled) return null;
+  const due = schedule.lastRun === null ? now : Math.max(schedule.lastRun + schedule.intervalMinutes * 60 * 1000, now);
+  if (isWithinActiveHours(schedule.activeHours, new Date(due))) return due;
+
+  const next = new Date(due);
+  next.setMinutes(0, 0, 0);
+  for (let i = 0; i < 24; i++) {
+    next.setTime(next.getTime() + HOUR_MS);
+    if (isWithinActiveHours(schedule.activeHours, next)) return next.getTime();
+  }
+  return null;
+}
+
+class LatencyScheduler {
+  private schedules: LatencySchedule[] = [];
+  private schedulerTimer: NodeJS.Timeout | null = null;
+
+  async loadState(): Promise<void> {
+    try {
+      if (!(await fs.pathExists(SCHEDULES_JSON_PATH))) {
+        this.schedules = [];
+        return;
+      }
+      this.schedules = await fs.readJson(SCHEDULES_JSON_PATH);
+      logger.log(`[Scheduler] Loaded ${this.schedules.length} latency schedules`);
+    } catch (err: any) {
+      logger.log(`[Scheduler] Failed to load state: ${err.message}`);
+    }
+  }
+
+  private async saveState(): Promise<void> {
+    try {
+      await fs.ensureDir(path.dirname(SCHEDULES_JSON_PATH));
+      await fs.writeJson(SCHEDULES_JSON_PATH, this.schedules, { spaces: 2 });
+    } catch (err: any) {
+      logger.log(`[Scheduler] Failed to save state: ${err.message}`);
+    }
+  }
+
+  getSchedules(): (LatencySchedule & { nextRun: number | null })[] {
+    return this.schedules.map(s => ({ ...s, activeHours: s.activeHours && { ...s.activeHours }, nextRun: getNextRun(s) }));
+  }
+
+  getSchedule(id: string): LatencySchedule | undefined {
+    return this.schedules.find(s => s.id === id);
+  }
+
+  async addSchedule(input: ScheduleInput): Promise<LatencySchedule> {
+    if (!input.name || input.intervalMinutes === undefined) {
+      throw new Error('Name and interval are required');
+    }
+    const schedule: LatencySchedule = {
+      id: Date.now().toString(),
+      name: '',
+      intervalMinutes: 0,
+      activeHours: null,
+      profileId: DEFAULT_PROFILE_ID,
+      skipRunning: true,
+      enabled: true,
+      lastRun: null,
+      lastStatus: null
+    };
+    this.applyInput(schedule, input);
+
+    this.schedules.push(schedule);
+    await this.saveState();
+    logger.log(`[Scheduler] Added schedule: ${schedule.name}`);
+    return schedule;
+  }
+
+  async updateSchedule(id: string, input: ScheduleInput): Promise<LatencySchedule> {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      throw new Error(`Schedule "${id}" not found`);
+    }
+    // Validate on a copy so a bad field leaves the schedule untouched
+    const updated = { ...schedule };
+    this.applyInput(updated, input);
+    Object.assign(schedule, updated);
+
+    await this.saveState();
+    logger.log(`[Scheduler] Updated schedule: ${schedule.name}`);
+    return schedule;
+  }
+
+  async removeSchedule(id: string): Promise<void> {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      throw new Error(`Schedule "${id}" not found`);
+    }
+    this.schedules = this.schedules.filter(s => s.id !== id);
+    await this.saveState();
+    logger.log(`[Scheduler] Removed schedule: ${schedule.name}`);
+  }
+
+  // ==================== Scheduling ====================
+
+  startScheduler(): void {
+    if (this.schedulerTimer) return;
+    this.schedulerTimer = setInterval(() => {
+      this.runDue().catch(err => logger.log(`[Scheduler] Scheduled sweep error: ${err.message}`));
+    }, SCHEDULER_TICK);
+  }
+
+  stopScheduler(): void {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  async runDue(): Promise<void> {
+    const now = Date.now();
+    const due = this.schedules.filter(s => {
+      const nextRun = getNextRun(s, now);
+      return nextRun !== null && nextRun <= now;
+    });
+
+    for (const schedule of due) {
+      // A manual or earlier sweep is still going; try again on the next tick
+      if (latencyTester.getIsTesting()) {
+        logger.log(`[Scheduler] Postponing "${schedule.name}": a latency test is already running`);
+        return;
+      }
+      await this.runSchedule(schedule);
+    }
+  }
+
+  private async runSchedule(schedule: LatencySchedule): Promise<void> {
+    const excludeIds = schedule.skipRunning
+      ? connectionManager.getConnections().filter(c => c.status === ConnectionStatus.RUNNING).map(c => c.id)
+      : [];
+    logger.log(`[Scheduler] Running "${schedule.name}"${excludeIds.length > 0 ? `, skipping ${excludeIds.length} running connection(s)` : ''}`);
+
+    schedule.lastRun = Date.now();
+    try {
+      await latencyTester.runTests(schedule.profileId, { excludeIds });
+      schedule.lastStatus = 'ok';
+      delete schedule.lastError;
+    } catch (err: any) {
+      schedule.lastStatus = 'error';
+      schedule.lastError = err.message;
+      logger.log(`[Scheduler] "${schedule.name}" failed: ${err.message}`);
+    }
+    await this.saveState();
+  }
+
+  private applyInput(schedule: LatencySchedule, input: ScheduleInput): void {
+    if (input.name !== undefined) {
+      const name = String(input.name).trim();
+      if (!name) {
+        throw new Error('Name must not be empty');
+      }
+      if (this.schedules.find(s => s.name === name && s.id !== schedule.id)) {
+        throw new Error(`Schedule with name "${name}" already exists`);
+      }
+      schedule.name = name;
+    }
+    if (input.intervalMinutes !== undefined) {
+      if (!Number.isInteger(input.intervalMinutes) || input.intervalMinutes < 1) {
+        throw new Error('Interval must be a positive number of minutes');
+      }
+      schedule.intervalMinutes = input.intervalMinutes;
+    }
+    if (input.activeHours !== undefined) {
+      const hours = input.activeHours;
+      if (hours !== null && (!isHour(hours?.start) || !isHour(hours?.end))) {
+        throw new Error('Active hours must have a start and end hour between 0 and 23, or be null');
+      }
+      schedule.activeHours = hours && { start: hours.start, end: hours.end };
+    }
+    if (input.profileId !== undefined) {
+      testProfiles.getProfile(input.profileId);
+      schedule.profileId = input.profileId;
+    }
+    if (input.skipRunning !== undefined) {
+      schedule.skipRunning = Boolean(input.skipRunning);
+    }
+    if (input.enabled !== undefined) {
+      schedule.enabled = Boolean(input.enabled);
+    }
+  }
+}
+
+function isHour(value: any): boolean {
+  return Number.isInteger(value) && value >= 0 && value <= 23;
+}
+
+export const latencyScheduler = new LatencyScheduler();
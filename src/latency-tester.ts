@@ -3,25 +3,83 @@ import path from "path";
 import fs from "fs-extra";
 import axios from "axios";
 import { logger } from "./logger";
-import { xrayManager } from "./xray-manager";
+import { xrayManager, ConfigItem } from "./xray-manager";
+import { waitForPorts, getInboundEndpoint } from "./port-probe";
+import { processSupervisor } from "./process-supervisor";
+import { portAllocator } from "./port-allocator";
+import { testProfiles, TestProfile } from "./test-profiles";
+import { latencyHistory } from "./latency-history";
+import { eventStream } from "./event-stream";
 
-// const TEST_URL = "http://cp.cloudflere.com/generate_204";
-// const TEST_URL = "http://www.google.com/generate_204";
-// const TEST_URL = "http://api.myip.com";
-// const TEST_URL = "http://digikala.com";
-const TEST_URL = process.env.TEST_URL || 'http://google.com';
 const TEST_TIMEOUT = 12000;
-const START_PORT = 10000;
 const BATCH_SIZE = 3;
+const STARTUP_TIMEOUT = parseInt(process.env.CONNECTION_STARTUP_TIMEOUT || '5000', 10);
+const TEMP_CONFIG_DIR = path.join(__dirname, "../configs/temp");
+const TEST_PROCESS_LABEL = "latency test ";
+
+export interface LatencyStats {
+   min: number | null;            // Over successful samples (ms)
+   median: number | null;
+   p95: number | null;
+   successRate: number;           // Successful samples / samples, 0-1
+   samples: number;
+}
+
+export interface TargetResult extends LatencyStats {
+   url: string;
+}
 
 export interface TestResult {
-   id: string;
-   latency: number | "FAILED";
+   id: string;                    // Config ID, stable across renames
+   name: string;                  // Config name at the time of the test, for display
+   latency: number | "FAILED";    // Median of all successful samples
+   profileId?: string;
+   stats?: LatencyStats;          // Across every target
+   targets?: TargetResult[];
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted: number[], p: number): number | null {
+   if (sorted.length === 0) return null;
+   const index = Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0);
+   return sorted[Math.min(index, sorted.length - 1)];
+}
+
+// Samples are durations in ms, or null for failed requests
+function summarize(samples: (number | null)[]): LatencyStats {
+   const successes = samples.filter((s): s is number => s !== null).sort((a, b) => a - b);
+   return {
+      min: successes.length > 0 ? successes[0] : null,
+      median: percentile(successes, 50),
+      p95: percentile(successes, 95),
+      successRate: samples.length > 0 ? successes.length / samples.length : 0,
+      samples: samples.length
+   };
+}
+
+function formatResult(result: TestResult): string {
+   if (result.latency === "FAILED" || !result.stats) return "FAILED";
+   const { min, median, p95, successRate } = result.stats;
+   return `median ${median}ms (min ${min}ms, p95 ${p95}ms, ${Math.round(successRate * 100)}% ok)`;
 }
 
 class LatencyTester {
    private results: TestResult[] = [];
    private isTesting: boolean = false;
+   private abortControllers = new Set<AbortController>(); // One per running batch or single test
+
+   // Show the last recorded result of every config until it is tested again
+   async loadState(): Promise<void> {
+      const configs = await xrayManager.listConfigs();
+
+      this.results = latencyHistory.getLatestRuns().flatMap(run => {
+         const configItem = configs.find(item => item.id === run.configId);
+         if (!configItem) return [];
+         const targets = run.targets.map(target => ({ url: target.url, ...summarize(target.samples) }));
+         const stats = summarize(run.targets.flatMap(target => target.samples));
+         return [{ id: configItem.id, name: configItem.name, latency: stats.median ?? "FAILED", profileId: run.profileId, stats, targets }];
+      });
+   }
 
    getResults(): TestResult[] {
       return this.results;
@@ -31,34 +89,40 @@ class LatencyTester {
       return this.isTesting;
    }
 
-   async runTests(): Promise<TestResult[]> {
+   // excludeIds are config IDs left out of the run; their previous results are kept
+   async runTests(profileId?: string, options: { excludeIds?: string[] } = {}): Promise<TestResult[]> {
       if (this.isTesting) {
          throw new Error("Testing is already in progress");
       }
 
+      const profile = testProfiles.getProfile(profileId);
+      const excludeIds = options.excludeIds || [];
+      const controller = new AbortController();
+      this.abortControllers.add(controller);
       this.isTesting = true;
-      this.results = [];
-      logger.log("Starting latency tests in batches of " + BATCH_SIZE + "...");
+      this.publishUpdate();
+      logger.log(`Starting latency tests in batches of ${BATCH_SIZE} with profile "${profile.name}"...`);
 
       try {
-         const configs = await xrayManager.listConfigs();
+         const allConfigs = await xrayManager.listConfigs();
+         const configs = allConfigs.filter(c => !excludeIds.includes(c.id));
+         const skipped = allConfigs.filter(c => excludeIds.includes(c.id));
+         this.results = this.results.filter(r => excludeIds.includes(r.id));
+         if (skipped.length > 0) {
+            logger.log(`Skipping configs in use: ${skipped.map(c => c.name).join(', ')}`);
+         }
          
          // Process configs in batches of up to 3
          for (let i = 0; i < configs.length; i += BATCH_SIZE) {
+            controller.signal.throwIfAborted();
             const batch = configs.slice(i, i + BATCH_SIZE);
             logger.log(`Testing batch ${Math.floor(i / BATCH_SIZE) + 1}: ${batch.map(c => c.name).join(', ')}`);
             
-            const testPromises = batch.map((item, batchIndex) => {
-               const id = item.name;
-               const port = START_PORT + i + batchIndex;
-               logger.log(`Testing config ${id} on port ${port}...`);
-               
-               return this.testConfig(item.config, port, id).then(latency => {
-                  const result = { id, latency };
+            const testPromises = batch.map(item => {
+               return this.testConfig(item, profile, controller.signal).then(result => {
                   this.results.push(result);
-                  logger.log(
-                     `Config ${id} latency: ${latency === "FAILED" ? "FAILED" : latency + "ms"}`,
-                  );
+                  this.publishUpdate(result);
+                  logger.log(`Config ${item.name} latency: ${formatResult(result)}`);
                   return result;
                });
             });
@@ -67,86 +131,166 @@ class LatencyTester {
             await Promise.all(testPromises);
             
             // Clean up temp files after each batch
-            const tempDir = path.join(__dirname, "../configs/temp");
-            if (await fs.pathExists(tempDir)) {
-               await fs.emptyDir(tempDir);
-            }
+            await this.cleanTempConfigs();
             
             logger.log(`Batch ${Math.floor(i / BATCH_SIZE) + 1} completed.`);
          }
 
          logger.log("Latency tests completed.");
          return this.results;
+      } catch (error: any) {
+         if (controller.signal.aborted) {
+            logger.log("Latency tests cancelled.");
+         }
+         throw error;
       } finally {
          this.isTesting = false;
+         this.abortControllers.delete(controller);
+         this.publishUpdate();
+         await latencyHistory.flush();
       }
    }
 
-   async runSingleTest(configName: string): Promise<TestResult> {
-      logger.log(`Starting single latency test for config: ${configName}...`);
+   // Accepts a config ID, or a config name for older clients
+   async runSingleTest(configKey: string, profileId?: string): Promise<TestResult> {
+      logger.log(`Starting single latency test for config: ${configKey}...`);
+      const controller = new AbortController();
+      this.abortControllers.add(controller);
+      let configItem: ConfigItem | undefined;
 
       try {
+         const profile = testProfiles.getProfile(profileId);
          const configs = await xrayManager.listConfigs();
-         const configItem = configs.find(item => item.name === configName);
+         configItem = configs.find(item => item.id === configKey) ?? configs.find(item => item.name === configKey);
          
          if (!configItem) {
-            throw new Error(`Config ${configName} not found`);
+            throw new Error(`Config ${configKey} not found`);
          }
 
-         const id = configItem.name;
-         const port = START_PORT + 0; // Use first available port for single test
-         
-         logger.log(`Testing config ${id} on port ${port}...`);
-         
-         const latency = await this.testConfig(configItem.config, port, id);
-         
-         const result = { id, latency };
-         
-         // Update the result in the results array
-         const existingIndex = this.results.findIndex(r => r.id === id);
-         if (existingIndex >= 0) {
-            this.results[existingIndex] = result;
-         } else {
-            this.results.push(result);
-         }
-         
-         logger.log(
-            `Config ${id} latency: ${latency === "FAILED" ? "FAILED" : latency + "ms"}`,
-         );
+         const result = await this.testConfig(configItem, profile, controller.signal);
+         this.storeResult(result);
+         logger.log(`Config ${configItem.name} latency: ${formatResult(result)}`);
          
          return result;
       } catch (error: any) {
-         logger.log(`Error testing config ${configName}: ${error.message}`);
-         const result = { id: configName, latency: "FAILED" as const };
-         
-         // Update the result in the results array
-         const existingIndex = this.results.findIndex(r => r.id === configName);
-         if (existingIndex >= 0) {
-            this.results[existingIndex] = result;
-         } else {
-            this.results.push(result);
+         if (controller.signal.aborted) {
+            // Keep the previous result rather than recording a cancelled test as failed
+            logger.log(`Latency test for config ${configKey} cancelled.`);
+            throw error;
          }
+         logger.log(`Error testing config ${configKey}: ${error.message}`);
+         const result: TestResult = { id: configItem?.id ?? configKey, name: configItem?.name ?? configKey, latency: "FAILED", profileId };
+         this.storeResult(result);
          
          return result;
+      } finally {
+         this.abortControllers.delete(controller);
+         await latencyHistory.flush();
+      }
+   }
+
+   // Replace the result of the same config, or add it
+   private storeResult(result: TestResult): void {
+      const existingIndex = this.results.findIndex(r => r.id === result.id);
+      if (existingIndex >= 0) {
+         this.results[existingIndex] = result;
+      } else {
+         this.results.push(result);
+      }
+      this.publishUpdate(result);
+   }
+
+   private publishUpdate(result?: TestResult): void {
+      eventStream.publish("latency", { isTesting: this.isTesting, result });
+   }
+
+   // Abort every running test, stop their xray processes and remove their temp configs.
+   // Also sweeps up test processes left behind by earlier runs. Returns false when no test was running.
+   async cancel(): Promise<boolean> {
+      const wasRunning = this.abortControllers.size > 0;
+      if (wasRunning) {
+         logger.log("Cancelling latency tests...");
+      }
+      this.abortControllers.forEach(controller => controller.abort(new Error("Latency test cancelled")));
+
+      const stopped = await processSupervisor.terminateMatching(TEST_PROCESS_LABEL);
+      if (stopped > 0) {
+         logger.log(`Stopped ${stopped} latency test process(es)`);
+      }
+      await this.cleanTempConfigs();
+      return wasRunning;
+   }
+
+   // Only test configs: running connections keep their configs in the same directory
+   private async cleanTempConfigs(): Promise<void> {
+      if (!(await fs.pathExists(TEMP_CONFIG_DIR))) return;
+      const files = await fs.readdir(TEMP_CONFIG_DIR);
+      await Promise.all(files
+         .filter(file => file.startsWith("test_config_"))
+         .map(file => fs.remove(path.join(TEMP_CONFIG_DIR, file))));
+   }
+
+   // Run the test on pool ports leased for every inbound, so parallel tests never collide
+   private async testConfig(item: ConfigItem, profile: TestProfile, signal: AbortSignal): Promise<TestResult> {
+      const inboundCount = Math.max(item.config?.inbounds?.length ?? 0, 1);
+      let samples: (number | null)[][];
+      try {
+         samples = await portAllocator.withLeases(inboundCount, "latency-tester", `latency test of "${item.name}"`, ports => this.testConfigOnPorts(item.config, ports, item.name, profile, signal));
+      } catch (error: any) {
+         logger.log(`Error testing config ${item.name}: ${error.message}`);
+         samples = profile.targets.map(() => new Array(profile.samples).fill(null));
       }
+      // Cancelled samples are not failures; leave them out of the results and history
+      signal.throwIfAborted();
+
+      const stats = summarize(samples.flat());
+      latencyHistory.record({
+         timestamp: Date.now(),
+         configId: item.id,
+         profileId: profile.id,
+         latency: stats.median,
+         p95: stats.p95,
+         successRate: stats.successRate,
+         targets: profile.targets.map((url, index) => ({ url, samples: samples[index] }))
+      });
+
+      return {
+         id: item.id,
+         name: item.name,
+         latency: stats.median ?? "FAILED",
+         profileId: profile.id,
+         stats,
+         targets: profile.targets.map((url, index) => ({ url, ...summarize(samples[index]) }))
+      };
    }
 
-   private async testConfig(config: any, port: number, id: string): Promise<number | "FAILED"> {
+   // Returns the sample durations per target; null marks a failed request
+   private async testConfigOnPorts(config: any, ports: number[], id: string, profile: TestProfile, signal: AbortSignal): Promise<(number | null)[][]> {
+      const port = ports[0];
       let testProcess: any = null;
-      const tempConfigPath = path.join(__dirname, `../configs/temp/test_config_${id.replace(/[^a-z0-9]/gi, '_')}.json`);
+      const onAbort = () => {
+         if (testProcess) processSupervisor.terminate(testProcess);
+      };
+      const tempConfigPath = path.join(__dirname, `../configs/temp/test_config_${id.replace(/[^a-z0-9]/gi, '_')}_${port}.json`);
       
       try {
          // Ensure temp directory exists
          await fs.ensureDir(path.dirname(tempConfigPath));
 
+         signal.throwIfAborted();
+         signal.addEventListener("abort", onAbort, { once: true });
+
          // 1. Modify config
          const testConfig = JSON.parse(JSON.stringify(config)); // Deep clone
          if (!testConfig.inbounds || testConfig.inbounds.length === 0) {
             throw new Error("No inbounds found in config");
          }
 
-         // Modify the first inbound port
-         testConfig.inbounds[0].port = port;
+         // Move every inbound onto its leased port
+         testConfig.inbounds.forEach((inbound: any, index: number) => {
+            inbound.port = ports[index];
+         });
+         logger.log(`Testing config ${id} on port ${port}...`);
 
          // Set log level to debug for more info
          if (!testConfig.log) testConfig.log = {};
@@ -156,34 +300,30 @@ class LatencyTester {
          await fs.writeJson(tempConfigPath, testConfig);
 
          // 3. Spawn Xray
-         testProcess = spawn("xray", ["run", "-c", tempConfigPath]);
-
-         // 4. Wait for initialization
-         await new Promise((resolve) => setTimeout(resolve, 4000));
-
-         // 5. Measure latency
-         const start = Date.now();
-         try {
-            await axios.get(TEST_URL, {
-               proxy: {
-                  host: "127.0.0.1",
-                  port: port,
-                  protocol: "http"
-               },
-               timeout: TEST_TIMEOUT, // Increased timeout for parallel tests
-            });
-            const duration = Date.now() - start;
-            return duration;
-         } catch (err: any) {
-            // logger.log(`[Axios Error - ${id}] ${err.message}`);
-            return "FAILED";
+         testProcess = processSupervisor.track(spawn("xray", ["run", "-c", tempConfigPath]), `${TEST_PROCESS_LABEL}${id}`);
+
+         // 4. Wait until the test inbound accepts connections
+         await waitForPorts([getInboundEndpoint(testConfig.inbounds[0])], STARTUP_TIMEOUT, testProcess);
+
+         // 5. Measure latency, one request at a time so samples don't skew each other
+         const samples: (number | null)[][] = [];
+         for (const url of profile.targets) {
+            const targetSamples: (number | null)[] = [];
+            for (let i = 0; i < profile.samples; i++) {
+               signal.throwIfAborted();
+               targetSamples.push(await this.measure(url, port, profile, signal));
+            }
+            samples.push(targetSamples);
          }
+         return samples;
       } catch (error: any) {
          logger.log(`Error testing config ${id}: ${error.message}`);
-         return "FAILED";
+         return profile.targets.map(() => new Array(profile.samples).fill(null));
       } finally {
+         signal.removeEventListener("abort", onAbort);
          if (testProcess) {
-            testProcess.kill();
+            // Free the test port before it is handed to the next config
+            await processSupervisor.terminate(testProcess);
          }
          // Clean up temp file
          if (await fs.pathExists(tempConfigPath)) {
@@ -191,6 +331,29 @@ class LatencyTester {
          }
       }
    }
+
+   private async measure(url: string, port: number, profile: TestProfile, signal: AbortSignal): Promise<number | null> {
+      const start = Date.now();
+      try {
+         await axios.get(url, {
+            proxy: {
+               host: "127.0.0.1",
+               port: port,
+               protocol: "http"
+            },
+            timeout: TEST_TIMEOUT, // Increased timeout for parallel tests
+            signal,
+            // An expected status is checked on the first response, not after redirects
+            maxRedirects: profile.expectedStatus === null ? undefined : 0,
+            validateStatus: status => profile.expectedStatus === null
+               ? status >= 200 && status < 300
+               : status === profile.expectedStatus
+         });
+         return Date.now() - start;
+      } catch (err: any) {
+         return null;
+      }
+   }
 }
 
 export const latencyTester = new LatencyTester();
@@ -0,0 +1,177 @@
+// Share link exporter: builds vless://, vmess://, trojan:// and ss:// links
+// from the first proxy outbound of an Xray config.
+
+const EXPORTABLE_PROTOCOLS = ['vless', 'vmess', 'trojan', 'shadowsocks'];
+
+function findProxyOutbound(config: any): any {
+  const outbounds: any[] = Array.isArray(config?.outbounds) ? config.outbounds : [];
+  const outbound = outbounds.find(o => EXPORTABLE_PROTOCOLS.includes(o?.protocol));
+  if (!outbound) {
+    throw new Error('Config has no vless, vmess, trojan or shadowsocks outbound to export');
+  }
+  return outbound;
+}
+
+function formatHost(address: string): string {
+  return address.includes(':') ? `[${address}]` : address;
+}
+
+function firstValue(value: any): string | undefined {
+  if (Array.isArray(value)) return value.length > 0 ? String(value[0]) : undefined;
+  return value ? String(value) : undefined;
+}
+
+function joinValue(value: any): string | undefined {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(',') : undefined;
+  return value ? String(value) : undefined;
+}
+
+// Inverse of the link parser's stream settings: Xray streamSettings to share link query params
+function streamToParams(stream: any): Record<string, string> {
+  const params: Record<string, string> = {};
+  const set = (key: string, value: string | undefined) => {
+    if (value !== undefined && value !== '') params[key] = value;
+  };
+
+  const network = stream?.network || 'tcp';
+  set('type', network === 'http' ? 'h2' : network);
+
+  switch (network) {
+    case 'tcp': {
+      const header = stream.tcpSettings?.header;
+      if (header?.type === 'http') {
+        set('headerType', 'http');
+        set('path', firstValue(header.request?.path));
+        set('host', joinValue(header.request?.headers?.Host));
+      }
+      break;
+    }
+    case 'ws':
+      set('path', stream.wsSettings?.path);
+      set('host', stream.wsSettings?.headers?.Host || stream.wsSettings?.host);
+      break;
+    case 'grpc':
+      set('serviceName', stream.grpcSettings?.serviceName);
+      if (stream.grpcSettings?.multiMode) set('mode', 'multi');
+      break;
+    case 'http':
+      set('path', stream.httpSettings?.path);
+      set('host', joinValue(stream.httpSettings?.host));
+      break;
+    case 'httpupgrade':
+      set('path', stream.httpupgradeSettings?.path);
+      set('host', stream.httpupgradeSettings?.host);
+      break;
+    case 'xhttp':
+    case 'splithttp': {
+      const settings = stream.xhttpSettings || stream.splithttpSettings;
+      set('path', settings?.path);
+      set('host', settings?.host);
+      set('mode', settings?.mode);
+      break;
+    }
+    case 'kcp':
+      set('headerType', stream.kcpSettings?.header?.type);
+      set('seed', stream.kcpSettings?.seed);
+      break;
+  }
+
+  const security = stream?.security || 'none';
+  set('security', security);
+  if (security === 'tls') {
+    const tls = stream.tlsSettings || {};
+    set('sni', tls.serverName);
+    set('alpn', joinValue(tls.alpn));
+    set('fp', tls.fingerprint);
+    if (tls.allowInsecure) set('allowInsecure', '1');
+  } else if (security === 'reality') {
+    const reality = stream.realitySettings || {};
+    set('sni', reality.serverName);
+    set('fp', reality.fingerprint);
+    set('pbk', reality.publicKey);
+    set('sid', reality.shortId);
+    set('spx', reality.spiderX);
+  }
+
+  return params;
+}
+
+function buildQuery(params: Record<string, string>): string {
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+function buildVless(outbound: any, name: string): string {
+  const server = outbound.settings?.vnext?.[0];
+  const user = server?.users?.[0];
+  if (!server?.address || !user?.id) {
+    throw new Error('VLESS outbound is missing server address or user ID');
+  }
+  const params: Record<string, string> = { encryption: user.encryption || 'none' };
+  if (user.flow) params.flow = user.flow;
+  Object.assign(params, streamToParams(outbound.streamSettings));
+  return `vless://${encodeURIComponent(user.id)}@${formatHost(server.address)}:${server.port}?${buildQuery(params)}#${encodeURIComponent(name)}`;
+}
+
+function buildTrojan(outbound: any, name: string): string {
+  const server = outbound.settings?.servers?.[0];
+  if (!server?.address || !server?.password) {
+    throw new Error('Trojan outbound is missing server address or password');
+  }
+  const params: Record<string, string> = {};
+  if (server.flow) params.flow = server.flow;
+  Object.assign(params, streamToParams(outbound.streamSettings));
+  return `trojan://${encodeURIComponent(server.password)}@${formatHost(server.address)}:${server.port}?${buildQuery(params)}#${encodeURIComponent(name)}`;
+}
+
+function buildVmess(outbound: any, name: string): string {
+  const server = outbound.settings?.vnext?.[0];
+  const user = server?.users?.[0];
+  if (!server?.address || !user?.id) {
+    throw new Error('VMess outbound is missing server address or user ID');
+  }
+  const params = streamToParams(outbound.streamSettings);
+  const network = params.type || 'tcp';
+  const data = {
+    v: '2',
+    ps: name,
+    add: server.address,
+    port: String(server.port),
+    id: user.id,
+    aid: String(user.alterId ?? 0),
+    scy: user.security || 'auto',
+    net: network,
+    type: network === 'grpc' ? (params.mode === 'multi' ? 'multi' : 'gun') : (params.headerType || 'none'),
+    host: params.host || '',
+    path: network === 'grpc' ? (params.serviceName || '') : (params.path || ''),
+    tls: params.security === 'none' ? '' : params.security,
+    sni: params.sni || '',
+    alpn: params.alpn || '',
+    fp: params.fp || ''
+  };
+  return `vmess://${Buffer.from(JSON.stringify(data)).toString('base64')}`;
+}
+
+function buildShadowsocks(outbound: any, name: string): string {
+  const server = outbound.settings?.servers?.[0];
+  if (!server?.address || !server?.method || server?.password === undefined) {
+    throw new Error('Shadowsocks outbound is missing server address, method or password');
+  }
+  const userInfo = Buffer.from(`${server.method}:${server.password}`).toString('base64url');
+  return `ss://${userInfo}@${formatHost(server.address)}:${server.port}#${encodeURIComponent(name)}`;
+}
+
+export function buildShareLink(config: any, name: string): string {
+  const outbound = findProxyOutbound(config);
+  switch (outbound.protocol) {
+    case 'vless':
+      return buildVless(outbound, name);
+    case 'vmess':
+      return buildVmess(outbound, name);
+    case 'trojan':
+      return buildTrojan(outbound, name);
+    default:
+      return buildShadowsocks(outbound, name);
+  }
+}
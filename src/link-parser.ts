@@ -0,0 +1,365 @@
+// Share link parser: turns vless://, vmess://, trojan:// and ss:// links
+// into complete Xray configs with the usual local HTTP/SOCKS inbounds.
+
+const DEFAULT_HTTP_PORT = 1080;
+const DEFAULT_SOCKS_PORT = 2080;
+
+export const SUPPORTED_PROTOCOLS = ['vless', 'vmess', 'trojan', 'ss'];
+
+export interface ParsedLink {
+  name: string;
+  protocol: string;
+  config: any;
+}
+
+// Common stream parameters shared by all share link formats
+interface StreamParams {
+  network: string;
+  security: string;
+  sni?: string;
+  alpn?: string;
+  fingerprint?: string;
+  allowInsecure?: boolean;
+  host?: string;
+  path?: string;
+  serviceName?: string;
+  mode?: string;
+  headerType?: string;
+  seed?: string;
+  publicKey?: string;
+  shortId?: string;
+  spiderX?: string;
+}
+
+function decodeBase64(value: string): string {
+  // Node accepts both standard and URL-safe alphabets, padding is optional
+  return Buffer.from(value.trim(), 'base64').toString('utf8');
+}
+
+function parsePort(value: string | number | undefined): number {
+  const port = typeof value === 'number' ? value : parseInt(value || '', 10);
+  if (isNaN(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port "${value}"`);
+  }
+  return port;
+}
+
+function decodeName(hash: string, fallback: string): string {
+  const raw = hash.startsWith('#') ? hash.substring(1) : hash;
+  if (!raw) return fallback;
+  try {
+    return decodeURIComponent(raw).trim() || fallback;
+  } catch {
+    return raw.trim() || fallback;
+  }
+}
+
+function paramsFromQuery(query: URLSearchParams): StreamParams {
+  const get = (key: string) => query.get(key) || undefined;
+  return {
+    network: get('type') || 'tcp',
+    security: get('security') || 'none',
+    sni: get('sni') || get('peer'),
+    alpn: get('alpn'),
+    fingerprint: get('fp'),
+    allowInsecure: query.get('allowInsecure') === '1' || query.get('insecure') === '1',
+    host: get('host'),
+    path: get('path'),
+    serviceName: get('serviceName'),
+    mode: get('mode'),
+    headerType: get('headerType'),
+    seed: get('seed'),
+    publicKey: get('pbk'),
+    shortId: get('sid'),
+    spiderX: get('spx')
+  };
+}
+
+function buildStreamSettings(params: StreamParams): any {
+  const network = params.network === 'h2' ? 'http' : params.network;
+  const stream: any = { network };
+
+  switch (network) {
+    case 'tcp':
+      if (params.headerType === 'http') {
+        stream.tcpSettings = {
+          header: {
+            type: 'http',
+            request: {
+              path: [params.path || '/'],
+              headers: params.host ? { Host: params.host.split(',') } : {}
+            }
+          }
+        };
+      }
+      break;
+    case 'ws':
+      stream.wsSettings = {
+        path: params.path || '/',
+        headers: params.host ? { Host: params.host } : {}
+      };
+      break;
+    case 'grpc':
+      stream.grpcSettings = {
+        serviceName: params.serviceName || params.path || '',
+        multiMode: params.mode === 'multi'
+      };
+      break;
+    case 'http':
+      stream.httpSettings = {
+        path: params.path || '/',
+        ...(params.host ? { host: params.host.split(',') } : {})
+      };
+      break;
+    case 'httpupgrade':
+      stream.httpupgradeSettings = {
+        path: params.path || '/',
+        ...(params.host ? { host: params.host } : {})
+      };
+      break;
+    case 'xhttp':
+    case 'splithttp':
+      stream.network = 'xhttp';
+      stream.xhttpSettings = {
+        path: params.path || '/',
+        ...(params.host ? { host: params.host } : {}),
+        ...(params.mode ? { mode: params.mode } : {})
+      };
+      break;
+    case 'kcp':
+      stream.kcpSettings = {
+        header: { type: params.headerType || 'none' },
+        ...(params.seed ? { seed: params.seed } : {})
+      };
+      break;
+    default:
+      throw new Error(`Unsupported transport "${params.network}"`);
+  }
+
+  if (params.security === 'tls') {
+    stream.security = 'tls';
+    stream.tlsSettings = {
+      serverName: params.sni || params.host || '',
+      allowInsecure: !!params.allowInsecure,
+      ...(params.alpn ? { alpn: params.alpn.split(',') } : {}),
+      ...(params.fingerprint ? { fingerprint: params.fingerprint } : {})
+    };
+  } else if (params.security === 'reality') {
+    if (!params.publicKey) {
+      throw new Error('REALITY link is missing the public key (pbk)');
+    }
+    stream.security = 'reality';
+    stream.realitySettings = {
+      serverName: params.sni || '',
+      fingerprint: params.fingerprint || 'chrome',
+      publicKey: params.publicKey,
+      shortId: params.shortId || '',
+      spiderX: params.spiderX || ''
+    };
+  } else if (params.security !== 'none' && params.security !== '') {
+    throw new Error(`Unsupported security "${params.security}"`);
+  }
+
+  return stream;
+}
+
+function parseVless(url: URL): ParsedLink {
+  const id = decodeURIComponent(url.username);
+  if (!id) {
+    throw new Error('VLESS link is missing the user ID');
+  }
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  const flow = url.searchParams.get('flow');
+  const outbound = {
+    tag: 'proxy',
+    protocol: 'vless',
+    settings: {
+      vnext: [{
+        address,
+        port: parsePort(url.port),
+        users: [{
+          id,
+          encryption: url.searchParams.get('encryption') || 'none',
+          ...(flow ? { flow } : {})
+        }]
+      }]
+    },
+    streamSettings: buildStreamSettings(paramsFromQuery(url.searchParams))
+  };
+  return { name: decodeName(url.hash, address), protocol: 'vless', config: buildConfig(outbound) };
+}
+
+function parseTrojan(url: URL): ParsedLink {
+  const password = decodeURIComponent(url.username);
+  if (!password) {
+    throw new Error('Trojan link is missing the password');
+  }
+  const address = url.hostname.replace(/^\[|\]$/g, '');
+  const params = paramsFromQuery(url.searchParams);
+  // Trojan defaults to TLS when no security is given
+  if (!url.searchParams.get('security')) {
+    params.security = 'tls';
+  }
+  const flow = url.searchParams.get('flow');
+  const outbound = {
+    tag: 'proxy',
+    protocol: 'trojan',
+    settings: {
+      servers: [{
+        address,
+        port: parsePort(url.port),
+        password,
+        ...(flow ? { flow } : {})
+      }]
+    },
+    streamSettings: buildStreamSettings(params)
+  };
+  return { name: decodeName(url.hash, address), protocol: 'trojan', config: buildConfig(outbound) };
+}
+
+function parseVmess(link: string): ParsedLink {
+  const payload = link.substring('vmess://'.length).split('#')[0];
+  let data: any;
+  try {
+    data = JSON.parse(decodeBase64(payload));
+  } catch {
+    throw new Error('VMess link payload is not valid base64 JSON');
+  }
+  if (!data.add || !data.id) {
+    throw new Error('VMess link is missing address or user ID');
+  }
+
+  const params: StreamParams = {
+    network: data.net || 'tcp',
+    security: data.tls || 'none',
+    sni: data.sni || undefined,
+    alpn: data.alpn || undefined,
+    fingerprint: data.fp || undefined,
+    host: data.host || undefined,
+    path: data.path || undefined,
+    serviceName: data.net === 'grpc' ? data.path || undefined : undefined,
+    mode: data.net === 'grpc' ? data.type : undefined,
+    headerType: data.type || undefined,
+    publicKey: data.pbk || undefined,
+    shortId: data.sid || undefined
+  };
+
+  const outbound = {
+    tag: 'proxy',
+    protocol: 'vmess',
+    settings: {
+      vnext: [{
+        address: data.add,
+        port: parsePort(data.port),
+        users: [{
+          id: data.id,
+          alterId: parseInt(data.aid || '0', 10) || 0,
+          security: data.scy || 'auto'
+        }]
+      }]
+    },
+    streamSettings: buildStreamSettings(params)
+  };
+  return { name: (data.ps || '').trim() || data.add, protocol: 'vmess', config: buildConfig(outbound) };
+}
+
+function parseShadowsocks(link: string): ParsedLink {
+  const hashIndex = link.indexOf('#');
+  const body = link.substring('ss://'.length, hashIndex === -1 ? undefined : hashIndex);
+  const hash = hashIndex === -1 ? '' : link.substring(hashIndex);
+  const main = body.split('?')[0].replace(/\/$/, '');
+
+  let userInfo: string;
+  let serverPart: string;
+  const atIndex = main.lastIndexOf('@');
+  if (atIndex === -1) {
+    // Legacy format: base64(method:password@host:port)
+    const decoded = decodeBase64(main);
+    const decodedAt = decoded.lastIndexOf('@');
+    if (decodedAt === -1) {
+      throw new Error('Shadowsocks link is malformed');
+    }
+    userInfo = decoded.substring(0, decodedAt);
+    serverPart = decoded.substring(decodedAt + 1);
+  } else {
+    // SIP002: base64(method:password)@host:port, user info may also be plain
+    const rawUserInfo = decodeURIComponent(main.substring(0, atIndex));
+    userInfo = rawUserInfo.includes(':') ? rawUserInfo : decodeBase64(rawUserInfo);
+    serverPart = main.substring(atIndex + 1);
+  }
+
+  const colonIndex = userInfo.indexOf(':');
+  if (colonIndex === -1) {
+    throw new Error('Shadowsocks link is missing method or password');
+  }
+  const method = userInfo.substring(0, colonIndex);
+  const password = userInfo.substring(colonIndex + 1);
+
+  const portIndex = serverPart.lastIndexOf(':');
+  if (portIndex === -1) {
+    throw new Error('Shadowsocks link is missing the port');
+  }
+  const address = serverPart.substring(0, portIndex).replace(/^\[|\]$/g, '');
+  const port = parsePort(serverPart.substring(portIndex + 1));
+
+  const outbound = {
+    tag: 'proxy',
+    protocol: 'shadowsocks',
+    settings: {
+      servers: [{ address, port, method, password }]
+    },
+    streamSettings: { network: 'tcp' }
+  };
+  return { name: decodeName(hash, address), protocol: 'ss', config: buildConfig(outbound) };
+}
+
+export function buildConfig(proxyOutbound: any): any {
+  return {
+    log: { loglevel: 'warning' },
+    inbounds: [
+      {
+        tag: 'http-in',
+        listen: '127.0.0.1',
+        port: DEFAULT_HTTP_PORT,
+        protocol: 'http',
+        settings: {}
+      },
+      {
+        tag: 'socks-in',
+        listen: '127.0.0.1',
+        port: DEFAULT_SOCKS_PORT,
+        protocol: 'socks',
+        settings: { auth: 'noauth', udp: true }
+      }
+    ],
+    outbounds: [
+      proxyOutbound,
+      { tag: 'direct', protocol: 'freedom', settings: {} },
+      { tag: 'block', protocol: 'blackhole', settings: {} }
+    ]
+  };
+}
+
+export function parseShareLink(link: string): ParsedLink {
+  const trimmed = (link || '').trim();
+  const scheme = trimmed.split('://')[0].toLowerCase();
+
+  switch (scheme) {
+    case 'vmess':
+      return parseVmess(trimmed);
+    case 'ss':
+      return parseShadowsocks(trimmed);
+    case 'vless':
+    case 'trojan': {
+      let url: URL;
+      try {
+        url = new URL(trimmed);
+      } catch {
+        throw new Error(`Malformed ${scheme} link`);
+      }
+      return scheme === 'vless' ? parseVless(url) : parseTrojan(url);
+    }
+    default:
+      throw new Error(`Unsupported link type. Supported: ${SUPPORTED_PROTOCOLS.map(p => p + '://').join(', ')}`);
+  }
+}
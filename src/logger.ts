@@ -1,5 +1,6 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { eventStream } from './event-stream';
 
 const LOG_FILE = path.join(__dirname, '../logs/xray.log');
 const MAX_BUFFER_SIZE = 100;
@@ -16,8 +17,10 @@ class Logger {
 
   log(data: string) {
     const lines = data.split(/\r?\n/).filter(line => line.trim() !== '');
+    const timestampedLines: string[] = [];
     lines.forEach(line => {
       const timestampedLine = `[${new Date().toISOString()}] ${line}`;
+      timestampedLines.push(timestampedLine);
       
       // Write to file
       fs.appendFileSync(LOG_FILE, timestampedLine + '\n');
@@ -28,6 +31,9 @@ class Logger {
         this.buffer.shift();
       }
     });
+    if (timestampedLines.length > 0) {
+      eventStream.publish('log', { lines: timestampedLines });
+    }
   }
 
   getLogs(): string[] {
@@ -0,0 +1,133 @@
+// Configuration from environment variables
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10); // Failures per IP before a lockout
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '60', 10); // First lockout; doubles with each repeat
+const LOGIN_GLOBAL_MAX_FAILURES = parseInt(process.env.LOGIN_GLOBAL_MAX_FAILURES || '100', 10); // Failures per minute across all IPs
+
+const MAX_LOCKOUT = 60 * 60 * 1000; // Backoff stops growing at an hour
+const FAILURE_WINDOW = 15 * 60 * 1000; // Failures older than this are forgotten
+const GLOBAL_WINDOW = 60 * 1000;
+const PENDING_RETRY_AFTER = 1; // Seconds to wait when the remaining attempts are all in flight
+
+interface IpState {
+  failures: number[];            // Timestamps of recent failures
+  pending: number;               // Attempts reserved but not yet decided
+  lockouts: number;              // Lockouts so far; sets the next backoff
+  lockedUntil: number;
+}
+
+export interface LoginCheck {
+  allowed: boolean;
+  retryAfter: number;            // Seconds until the next attempt is accepted, 0 when allowed
+  reason?: 'ip' | 'global';
+}
+
+// Brute-force protection for /api/login: per-IP lockouts with exponential backoff,
+// plus a global cap that slows down attacks spread over many addresses.
+// Password checks are slow and run concurrently, so every attempt first reserves a slot: attempts still
+// in flight count against the limit, and a burst of parallel requests cannot get past it before the
+// first failure is recorded.
+class LoginLimiter {
+  private ips = new Map<string, IpState>();
+  private globalFailures: number[] = [];
+  private globalPending = 0;
+  private globalLockedUntil = 0;
+
+  check(ip: string): LoginCheck {
+    const now = Date.now();
+    if (now < this.globalLockedUntil) {
+      return { allowed: false, retryAfter: Math.ceil((this.globalLockedUntil - now) / 1000), reason: 'global' };
+    }
+    const state = this.ips.get(ip);
+    if (state && now < state.lockedUntil) {
+      return { allowed: false, retryAfter: Math.ceil((state.lockedUntil - now) / 1000), reason: 'ip' };
+    }
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  // Claim an attempt before checking the password. Every allowed reservation must be
+  // settled with recordFailure, recordSuccess or release.
+  reserve(ip: string): LoginCheck {
+    const now = Date.now();
+    this.prune(now);
+    const check = this.check(ip);
+    if (!check.allowed) return check;
+
+    if (this.globalFailures.length + this.globalPending >= LOGIN_GLOBAL_MAX_FAILURES) {
+      return { allowed: false, retryAfter: PENDING_RETRY_AFTER, reason: 'global' };
+    }
+    const state = this.getState(ip);
+    if (state.failures.length + state.pending >= LOGIN_MAX_ATTEMPTS) {
+      return { allowed: false, retryAfter: PENDING_RETRY_AFTER, reason: 'ip' };
+    }
+    state.pending++;
+    this.globalPending++;
+    return check;
+  }
+
+  // Settle a reservation without counting it, e.g. when the check itself errored
+  release(ip: string): void {
+    const state = this.ips.get(ip);
+    if (state && state.pending > 0) {
+      state.pending--;
+      this.globalPending = Math.max(this.globalPending - 1, 0);
+    }
+  }
+
+  // Returns the lockout that the failure triggered, if any
+  recordFailure(ip: string): LoginCheck {
+    const now = Date.now();
+    this.release(ip);
+    this.prune(now);
+
+    this.globalFailures.push(now);
+    if (this.globalFailures.length >= LOGIN_GLOBAL_MAX_FAILURES) {
+      this.globalLockedUntil = now + GLOBAL_WINDOW;
+      this.globalFailures = [];
+    }
+
+    const state = this.getState(ip);
+    state.failures.push(now);
+    if (state.failures.length >= LOGIN_MAX_ATTEMPTS) {
+      const lockout = Math.min(LOGIN_LOCKOUT_SECONDS * 1000 * 2 ** state.lockouts, MAX_LOCKOUT);
+      state.lockedUntil = now + lockout;
+      state.lockouts++;
+      state.failures = [];
+    }
+    return this.check(ip);
+  }
+
+  recordSuccess(ip: string): void {
+    this.release(ip);
+    const state = this.ips.get(ip);
+    if (!state) return;
+    // Other attempts from the address may still be in flight; keep their reservations
+    if (state.pending > 0) {
+      state.failures = [];
+      state.lockouts = 0;
+    } else {
+      this.ips.delete(ip);
+    }
+  }
+
+  private getState(ip: string): IpState {
+    let state = this.ips.get(ip);
+    if (!state) {
+      state = { failures: [], pending: 0, lockouts: 0, lockedUntil: 0 };
+      this.ips.set(ip, state);
+    }
+    return state;
+  }
+
+  private prune(now: number): void {
+    this.globalFailures = this.globalFailures.filter(t => now - t < GLOBAL_WINDOW);
+    this.ips.forEach((state, ip) => {
+      state.failures = state.failures.filter(t => now - t < FAILURE_WINDOW);
+      // Forget an address once it has been quiet for a full window after its last lockout
+      if (state.failures.length === 0 && state.pending === 0 && now - state.lockedUntil > FAILURE_WINDOW) {
+        this.ips.delete(ip);
+      }
+    });
+  }
+}
+
+export const loginLimiter = new LoginLimiter();
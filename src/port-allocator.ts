@@ -0,0 +1,217 @@
+import { isPortFree } from './port-probe';
+import { ConfigValidationError } from './config-validator';
+
+const MIN_PORT = 1024;
+const MAX_PORT = 65535;
+
+// Configuration from environment variables
+const PORT_POOL_START = parseInt(process.env.PORT_POOL_START || '10000', 10);
+const PORT_POOL_END = parseInt(process.env.PORT_POOL_END || '10999', 10);
+
+export interface PortClaim {
+  port: number;
+  owner: string;                 // Connection ID or subsystem name
+  description: string;           // Shown to the user when the port clashes
+  active: boolean;               // Bound right now, not just configured
+}
+
+export interface PortConflict {
+  port: number;
+  reason: string;
+}
+
+export class PortConflictError extends Error {
+  conflicts: PortConflict[];
+
+  constructor(conflicts: PortConflict[]) {
+    super(conflicts.map(c => `Port ${c.port} ${c.reason}`).join('; '));
+    this.name = 'PortConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+export interface PortLease {
+  port: number;
+  owner: string;                 // Subsystem or connection ID holding the port
+  purpose: string;
+  acquiredAt: number;
+}
+
+interface ReservedRange {
+  start: number;
+  end: number;
+  description: string;
+}
+
+// Managed connections move their inbounds to basePort + offset, so each inbound needs a single
+// numeric port; ranges and env: references cannot be shifted
+function inboundPort(inbound: any, index: number): number {
+  const port = inbound?.port;
+  if (typeof port === 'number' || (typeof port === 'string' && /^\d+$/.test(port))) {
+    return Number(port);
+  }
+  throw new ConfigValidationError([{
+    path: `inbounds[${index}].port`,
+    message: `Inbound port ${JSON.stringify(port)} is a range or env: reference; managed connections need single numeric ports`
+  }]);
+}
+
+// Offsets of every inbound port from the first inbound; a connection listens on basePort + offset
+export function getInboundOffsets(config: any): number[] {
+  const inbounds: any[] = config?.inbounds || [];
+  if (inbounds.length === 0) return [];
+  const ports = inbounds.map((inbound, index) => inboundPort(inbound, index));
+  return ports.map(port => port - ports[0]);
+}
+
+class PortAllocator {
+  private providers: (() => PortClaim[])[] = [];
+  private reservedRanges: ReservedRange[] = [
+    { start: PORT_POOL_START, end: PORT_POOL_END, description: 'the port pool' }
+  ];
+  private leases = new Map<number, PortLease>();
+  private nextPoolPort: number = PORT_POOL_START; // Rotates so a just-released port is not reused at once
+
+  // Subsystems report the ports they own (running or configured) through a provider
+  registerClaims(provider: () => PortClaim[]): void {
+    this.providers.push(provider);
+  }
+
+  // Keep a range out of reach of connections, like the port pool
+  reserveRange(start: number, end: number, description: string): void {
+    this.reservedRanges.push({ start, end, description });
+  }
+
+  getClaims(): PortClaim[] {
+    const leased: PortClaim[] = Array.from(this.leases.values()).map(lease => ({
+      port: lease.port,
+      owner: lease.owner,
+      description: lease.purpose,
+      active: true
+    }));
+    return [...this.providers.flatMap(provider => provider()), ...leased];
+  }
+
+  getReservedRanges(): ReservedRange[] {
+    return this.reservedRanges.map(r => ({ ...r }));
+  }
+
+  // Check ports against the valid range, reservations, other owners' claims and the host.
+  // With activeOnly, claims of owners that are not currently running are ignored.
+  async findConflicts(ports: number[], options: { owner?: string; activeOnly?: boolean } = {}): Promise<PortConflict[]> {
+    const conflicts: PortConflict[] = [];
+    const claims = this.getClaims().filter(c => c.owner !== options.owner && (c.active || !options.activeOnly));
+    const toProbe: number[] = [];
+
+    for (const port of Array.from(new Set(ports))) {
+      if (!Number.isInteger(port) || port < MIN_PORT || port > MAX_PORT) {
+        conflicts.push({ port, reason: `is outside ${MIN_PORT}-${MAX_PORT}` });
+        continue;
+      }
+      const range = this.reservedRanges.find(r => port >= r.start && port <= r.end);
+      if (range) {
+        conflicts.push({ port, reason: `is reserved for ${range.description} (${range.start}-${range.end})` });
+        continue;
+      }
+      const claim = claims.find(c => c.port === port);
+      if (claim) {
+        conflicts.push({ port, reason: `is already in use by ${claim.description}` });
+        continue;
+      }
+      toProbe.push(port);
+    }
+
+    const free = await Promise.all(toProbe.map(port => isPortFree(port)));
+    toProbe.forEach((port, index) => {
+      if (!free[index]) {
+        conflicts.push({ port, reason: 'is already bound by another program' });
+      }
+    });
+
+    return conflicts.sort((a, b) => a.port - b.port);
+  }
+
+  async assertAvailable(ports: number[], options: { owner?: string; activeOnly?: boolean } = {}): Promise<void> {
+    const conflicts = await this.findConflicts(ports, options);
+    if (conflicts.length > 0) {
+      throw new PortConflictError(conflicts);
+    }
+  }
+
+  // ==================== Port Pool ====================
+
+  getPool(): { start: number; end: number } {
+    return { start: PORT_POOL_START, end: PORT_POOL_END };
+  }
+
+  getLeases(): PortLease[] {
+    return Array.from(this.leases.values()).map(lease => ({ ...lease })).sort((a, b) => a.port - b.port);
+  }
+
+  // Lease a pool port that is free on the host and not held by anyone else
+  async acquire(owner: string, purpose: string): Promise<number> {
+    const size = PORT_POOL_END - PORT_POOL_START + 1;
+    for (let tried = 0; tried < size; tried++) {
+      const port = this.nextPoolPort;
+      this.nextPoolPort = port >= PORT_POOL_END ? PORT_POOL_START : port + 1;
+      if (this.leases.has(port)) continue;
+
+      // Hold the port while probing so concurrent callers skip it
+      this.leases.set(port, { port, owner, purpose, acquiredAt: Date.now() });
+      if (await isPortFree(port)) {
+        return port;
+      }
+      this.leases.delete(port);
+    }
+    throw new Error(`No free port left in the pool (${PORT_POOL_START}-${PORT_POOL_END})`);
+  }
+
+  // Record that a port outside the pool is in use, e.g. a proxy port a test runs through
+  hold(port: number, owner: string, purpose: string): void {
+    const lease = this.leases.get(port);
+    if (lease && lease.owner !== owner) {
+      throw new Error(`Port ${port} is already leased for ${lease.purpose}`);
+    }
+    this.leases.set(port, { port, owner, purpose, acquiredAt: Date.now() });
+  }
+
+  release(port: number): void {
+    this.leases.delete(port);
+  }
+
+  releaseAll(owner: string): void {
+    this.leases.forEach((lease, port) => {
+      if (lease.owner === owner) this.leases.delete(port);
+    });
+  }
+
+  // Lease `count` pool ports for the duration of `task`
+  async withLeases<T>(count: number, owner: string, purpose: string, task: (ports: number[]) => Promise<T>): Promise<T> {
+    const ports: number[] = [];
+    try {
+      for (let i = 0; i < count; i++) {
+        ports.push(await this.acquire(owner, purpose));
+      }
+      return await task(ports);
+    } finally {
+      ports.forEach(port => this.release(port));
+    }
+  }
+
+  // First base port from `from` upwards where every offset lands on a usable port
+  async suggestBasePort(offsets: number[], from: number, owner?: string): Promise<number> {
+    const span = offsets.length > 0 ? offsets : [0];
+    const lowest = Math.min(...span);
+    const highest = Math.max(...span);
+
+    for (let basePort = Math.max(from, MIN_PORT - lowest); basePort + highest <= MAX_PORT; basePort++) {
+      const conflicts = await this.findConflicts(span.map(offset => basePort + offset), { owner });
+      if (conflicts.length === 0) {
+        return basePort;
+      }
+    }
+    throw new Error(`No free base port found from ${from}`);
+  }
+}
+
+export const portAllocator = new PortAllocator();
@@ -0,0 +1,98 @@
+import net from 'net';
+import { ChildProcess } from 'child_process';
+
+const PROBE_INTERVAL = 100; // ms between connection attempts
+const PROBE_CONNECT_TIMEOUT = 500;
+
+export interface PortEndpoint {
+  host: string;
+  port: number;
+}
+
+// Resolve the address to probe for an inbound; wildcard listeners are reachable on loopback
+export function getInboundEndpoint(inbound: any): PortEndpoint {
+  const listen = inbound?.listen;
+  const host = !listen || listen === '0.0.0.0' || listen === '::' ? '127.0.0.1' : listen;
+  return { host, port: inbound.port };
+}
+
+export function isPortOpen(host: string, port: number, timeout: number = PROBE_CONNECT_TIMEOUT): Promise<boolean> {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+    const finish = (open: boolean) => {
+      socket.removeAllListeners();
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish(true));
+    socket.once('timeout', () => finish(false));
+    socket.once('error', () => finish(false));
+  });
+}
+
+// Wait until every endpoint accepts TCP connections.
+// Rejects when the timeout elapses or the given process exits first.
+export function waitForPorts(endpoints: PortEndpoint[], timeout: number, childProcess?: ChildProcess | null): Promise<void> {
+  return new Promise<void>((resolve, reject) => {
+    const deadline = Date.now() + timeout;
+    const pending = new Set(endpoints.map(e => `${e.host}:${e.port}`));
+    let settled = false;
+    let timer: NodeJS.Timeout | null = null;
+
+    const finish = (error?: Error) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      childProcess?.removeListener('exit', onExit);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const onExit = (code: number | null, signal: string | null) => {
+      finish(new Error(`Xray exited ${signal ? `with signal ${signal}` : `with code ${code}`} before its ports opened`));
+    };
+
+    if (childProcess) {
+      if (childProcess.exitCode !== null || childProcess.signalCode !== null) {
+        onExit(childProcess.exitCode, childProcess.signalCode);
+        return;
+      }
+      childProcess.once('exit', onExit);
+    }
+
+    const probe = async () => {
+      const remaining = endpoints.filter(e => pending.has(`${e.host}:${e.port}`));
+      const results = await Promise.all(remaining.map(e => isPortOpen(e.host, e.port)));
+      remaining.forEach((e, i) => {
+        if (results[i]) pending.delete(`${e.host}:${e.port}`);
+      });
+
+      if (settled) return;
+      if (pending.size === 0) {
+        finish();
+      } else if (Date.now() >= deadline) {
+        finish(new Error(`Ports not accepting connections after ${timeout}ms: ${Array.from(pending).join(', ')}`));
+      } else {
+        timer = setTimeout(probe, PROBE_INTERVAL);
+      }
+    };
+
+    probe();
+  });
+}
+
+// Whether a TCP port can be bound on the host; the wildcard address catches listeners on any interface
+export function isPortFree(port: number, host: string = '0.0.0.0'): Promise<boolean> {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', () => resolve(false));
+    server.listen({ port, host, exclusive: true }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
@@ -0,0 +1,87 @@
+import { ChildProcess } from 'child_process';
+import { logger } from './logger';
+
+// Configuration from environment variables
+const PROCESS_STOP_TIMEOUT = parseInt(process.env.PROCESS_STOP_TIMEOUT || '5000', 10); // Grace period before SIGKILL
+const KILL_WAIT_TIMEOUT = 2000;
+
+class ProcessSupervisor {
+  private processes = new Map<ChildProcess, string>(); // Live child processes and their labels
+
+  // Remember a spawned child so it can be stopped on shutdown
+  track(child: ChildProcess, label: string): ChildProcess {
+    if (this.hasExited(child)) return child;
+    this.processes.set(child, label);
+    child.once('exit', () => this.processes.delete(child));
+    // A failed spawn emits 'error' without 'exit'
+    child.once('error', () => {
+      if (child.pid === undefined) this.processes.delete(child);
+    });
+    return child;
+  }
+
+  getRunningCount(): number {
+    return this.processes.size;
+  }
+
+  // Send SIGTERM, wait for the exit, escalate to SIGKILL after the timeout.
+  // Resolves only once the process is gone (or refuses to die even after SIGKILL).
+  async terminate(child: ChildProcess, timeout: number = PROCESS_STOP_TIMEOUT): Promise<void> {
+    const label = this.processes.get(child) ?? `pid ${child.pid}`;
+    if (this.hasExited(child) || child.pid === undefined) {
+      this.processes.delete(child);
+      return;
+    }
+
+    child.kill('SIGTERM');
+    if (await this.waitForExit(child, timeout)) {
+      this.processes.delete(child);
+      return;
+    }
+
+    logger.log(`[ProcessSupervisor] ${label} did not exit within ${timeout}ms, sending SIGKILL`);
+    child.kill('SIGKILL');
+    if (!(await this.waitForExit(child, KILL_WAIT_TIMEOUT))) {
+      logger.log(`[ProcessSupervisor] ${label} still running after SIGKILL`);
+    }
+    this.processes.delete(child);
+  }
+
+  async terminateAll(timeout: number = PROCESS_STOP_TIMEOUT): Promise<void> {
+    const children = Array.from(this.processes.keys());
+    if (children.length === 0) return;
+    logger.log(`[ProcessSupervisor] Stopping ${children.length} child process(es)...`);
+    await Promise.all(children.map(child => this.terminate(child, timeout)));
+  }
+
+  // Stop every tracked process whose label starts with the prefix, e.g. all latency test runs
+  async terminateMatching(prefix: string, timeout: number = PROCESS_STOP_TIMEOUT): Promise<number> {
+    const children = Array.from(this.processes.entries())
+      .filter(([, label]) => label.startsWith(prefix))
+      .map(([child]) => child);
+    await Promise.all(children.map(child => this.terminate(child, timeout)));
+    return children.length;
+  }
+
+  private hasExited(child: ChildProcess): boolean {
+    return child.exitCode !== null || child.signalCode !== null;
+  }
+
+  private waitForExit(child: ChildProcess, timeout: number): Promise<boolean> {
+    if (this.hasExited(child)) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const onExit = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      const timer = setTimeout(() => {
+        child.removeListener('exit', onExit);
+        resolve(false);
+      }, timeout);
+      child.once('exit', onExit);
+    });
+  }
+}
+
+export const processSupervisor = new ProcessSupervisor();
@@ -2,6 +2,8 @@ import axios, { AxiosProgressEvent } from 'axios';
 import { logger } from './logger';
 import { xrayManager } from './xray-manager';
 import { connectionManager } from './connection-manager';
+import { portAllocator } from './port-allocator';
+import { eventStream } from './event-stream';
 
 const PROXY_HOST = '127.0.0.1';
 const PROXY_PORT = 1080;
@@ -17,13 +19,14 @@ const UPLOAD_TEST_URL = 'http://httpbin.org/post';
 const PING_TEST_URL = 'http://api.myip.com';
 
 const TEST_TIMEOUT = 50000; // 50 seconds
+const PROGRESS_PUBLISH_INTERVAL = 250; // Upload/download progress fires per chunk; stream it at most this often
 
 export interface SpeedTestResult {
   downloadSpeed: number; // in Mbps
   uploadSpeed: number; // in Mbps
   ping: number; // in ms
   jitter: number; // in ms
-  status: 'idle' | 'running' | 'completed' | 'failed';
+  status: 'idle' | 'running' | 'completed' | 'failed' | 'cancelled';
   error?: string;
   progress: number; // 0-100
   phase: string; // Current test phase
@@ -41,6 +44,8 @@ class SpeedTester {
   };
 
   private isTesting: boolean = false;
+  private abortController: AbortController | null = null;
+  private lastPublishedAt = 0;
 
   getResult(): SpeedTestResult {
     return { ...this.result };
@@ -52,6 +57,13 @@ class SpeedTester {
 
   private updateResult(updates: Partial<SpeedTestResult>): void {
     this.result = { ...this.result, ...updates };
+
+    // Progress-only updates are throttled; phase and status changes always go out
+    const now = Date.now();
+    const progressOnly = Object.keys(updates).every(key => key === 'progress');
+    if (progressOnly && now - this.lastPublishedAt < PROGRESS_PUBLISH_INTERVAL) return;
+    this.lastPublishedAt = now;
+    eventStream.publish('speed-test', { result: this.getResult(), isTesting: this.isTesting });
   }
 
   private getProxyConfig(connectionId?: string) {
@@ -76,14 +88,15 @@ class SpeedTester {
     };
   }
 
-  private async checkProxyConnection(proxyConfig?: { host: string; port: number; protocol: string }): Promise<boolean> {
+  private async checkProxyConnection(proxyConfig?: { host: string; port: number; protocol: string }, signal?: AbortSignal): Promise<boolean> {
     try {
       const config = proxyConfig || this.getProxyConfig();
       logger.log(`Checking proxy connection to ${config.protocol}://${config.host}:${config.port}...`);
       const start = Date.now();
       await axios.get(PING_TEST_URL, {
         proxy: config,
-        timeout: 10000
+        timeout: 10000,
+        signal
       });
       const duration = Date.now() - start;
       logger.log(`Proxy connection successful! Response time: ${duration}ms`);
@@ -99,7 +112,7 @@ class SpeedTester {
     }
   }
 
-  private async measurePing(proxyConfig?: { host: string; port: number; protocol: string }): Promise<{ ping: number; jitter: number }> {
+  private async measurePing(proxyConfig?: { host: string; port: number; protocol: string }, signal?: AbortSignal): Promise<{ ping: number; jitter: number }> {
     const config = proxyConfig || this.getProxyConfig();
     logger.log('Measuring ping...');
     logger.log(`Using proxy: ${config.protocol}://${config.host}:${config.port}`);
@@ -110,12 +123,14 @@ class SpeedTester {
     const pingCount = 5;
 
     for (let i = 0; i < pingCount; i++) {
+      signal?.throwIfAborted();
       try {
         const start = Date.now();
         logger.log(`Ping ${i + 1}/${pingCount}: Starting request to ${PING_TEST_URL}...`);
         await axios.get(PING_TEST_URL, {
           proxy: config,
-          timeout: 10000
+          timeout: 10000,
+          signal
         });
         const ping = Date.now() - start;
         pings.push(ping);
@@ -146,7 +161,7 @@ class SpeedTester {
     return { ping: avgPing, jitter };
   }
 
-  private async measureDownloadSpeed(proxyConfig?: { host: string; port: number; protocol: string }): Promise<number> {
+  private async measureDownloadSpeed(proxyConfig?: { host: string; port: number; protocol: string }, signal?: AbortSignal): Promise<number> {
     const config = proxyConfig || this.getProxyConfig();
     logger.log('Measuring download speed...');
     logger.log(`Download test URLs: ${DOWNLOAD_TEST_URLS.join(', ')}`);
@@ -159,6 +174,7 @@ class SpeedTester {
     for (let i = 0; i < DOWNLOAD_TEST_URLS.length; i++) {
       const url = DOWNLOAD_TEST_URLS[i];
       const progressStart = 30 + (i * 20);
+      signal?.throwIfAborted();
       
       try {
         logger.log(`Download test ${i + 1}: Starting request to ${url}...`);
@@ -169,6 +185,7 @@ class SpeedTester {
           proxy: config,
           responseType: 'arraybuffer',
           timeout: TEST_TIMEOUT,
+          signal,
           onDownloadProgress: (progressEvent: AxiosProgressEvent) => {
             if (progressEvent.total) {
               const progress = progressStart + ((progressEvent.loaded / progressEvent.total) * 20);
@@ -209,7 +226,7 @@ class SpeedTester {
     return avgSpeed;
   }
 
-  private async measureUploadSpeed(proxyConfig?: { host: string; port: number; protocol: string }): Promise<number> {
+  private async measureUploadSpeed(proxyConfig?: { host: string; port: number; protocol: string }, signal?: AbortSignal): Promise<number> {
     const config = proxyConfig || this.getProxyConfig();
     logger.log('Measuring upload speed...');
     logger.log(`Upload test URL: ${UPLOAD_TEST_URL}`);
@@ -222,6 +239,7 @@ class SpeedTester {
     for (let i = 0; i < uploadSizes.length; i++) {
       const size = uploadSizes[i];
       const progressStart = 70 + (i * 10);
+      signal?.throwIfAborted();
       
       try {
         // Generate random data
@@ -233,6 +251,7 @@ class SpeedTester {
         await axios.post(UPLOAD_TEST_URL, data, {
           proxy: config,
           timeout: TEST_TIMEOUT,
+          signal,
           onUploadProgress: (progressEvent: AxiosProgressEvent) => {
             if (progressEvent.total) {
               const progress = progressStart + ((progressEvent.loaded / progressEvent.total) * 10);
@@ -281,52 +300,63 @@ class SpeedTester {
     const proxyConfig = this.getProxyConfig(connectionId);
     const proxyPort = proxyConfig.port;
 
-    logger.log('=== SPEED TEST DIAGNOSTICS ===');
-    logger.log(`Proxy Configuration: ${PROXY_PROTOCOL}://${PROXY_HOST}:${proxyPort}`);
+    // Cancellable from here on, including the diagnostics
+    this.isTesting = true;
+    this.abortController = new AbortController();
+    const signal = this.abortController.signal;
+    let portHeld = false;
 
-    // Test direct connection (bypass proxy) to check if network is working
-    logger.log('Testing direct network connection (bypassing proxy)...');
     try {
-      const directStart = Date.now();
-      await axios.get(PING_TEST_URL, { timeout: 10000 });
-      const directDuration = Date.now() - directStart;
-      logger.log(`Direct connection successful! Response time: ${directDuration}ms`);
-    } catch (error: any) {
-      logger.log(`Direct connection failed: ${error.message}`);
-      logger.log(`This indicates a network connectivity issue independent of the proxy.`);
-    }
+      logger.log('=== SPEED TEST DIAGNOSTICS ===');
+      logger.log(`Proxy Configuration: ${PROXY_PROTOCOL}://${PROXY_HOST}:${proxyPort}`);
 
-    // Check if proxy is accessible
-    const proxyConnected = await this.checkProxyConnection(proxyConfig);
-    if (!proxyConnected) {
-      throw new Error(`Cannot connect to proxy on port ${proxyPort}. Please check your connection.`);
-    }
+      // Test direct connection (bypass proxy) to check if network is working
+      logger.log('Testing direct network connection (bypassing proxy)...');
+      try {
+        const directStart = Date.now();
+        await axios.get(PING_TEST_URL, { timeout: 10000, signal });
+        const directDuration = Date.now() - directStart;
+        logger.log(`Direct connection successful! Response time: ${directDuration}ms`);
+      } catch (error: any) {
+        logger.log(`Direct connection failed: ${error.message}`);
+        logger.log(`This indicates a network connectivity issue independent of the proxy.`);
+      }
 
-    this.isTesting = true;
-    this.updateResult({
-      status: 'running',
-      progress: 0,
-      phase: 'Starting...',
-      downloadSpeed: 0,
-      uploadSpeed: 0,
-      ping: 0,
-      jitter: 0,
-      error: undefined
-    });
+      // Check if proxy is accessible
+      const proxyConnected = await this.checkProxyConnection(proxyConfig, signal);
+      signal.throwIfAborted();
+      if (!proxyConnected) {
+        throw new Error(`Cannot connect to proxy on port ${proxyPort}. Please check your connection.`);
+      }
 
-    logger.log('Starting speed test...');
+      // Keep the proxy port from being handed to another connection mid-test;
+      // held on behalf of the tested connection so it can still restart itself
+      portAllocator.hold(proxyPort, connectionId ?? 'speed-tester', `speed test through port ${proxyPort}`);
+      portHeld = true;
+      this.updateResult({
+        status: 'running',
+        progress: 0,
+        phase: 'Starting...',
+        downloadSpeed: 0,
+        uploadSpeed: 0,
+        ping: 0,
+        jitter: 0,
+        error: undefined
+      });
+
+      logger.log('Starting speed test...');
 
-    try {
       // Measure ping and jitter
-      const { ping, jitter } = await this.measurePing(proxyConfig);
+      const { ping, jitter } = await this.measurePing(proxyConfig, signal);
       this.updateResult({ ping, jitter });
 
       // Measure download speed
-      const downloadSpeed = await this.measureDownloadSpeed(proxyConfig);
+      const downloadSpeed = await this.measureDownloadSpeed(proxyConfig, signal);
       this.updateResult({ downloadSpeed });
 
       // Measure upload speed
-      const uploadSpeed = await this.measureUploadSpeed(proxyConfig);
+      const uploadSpeed = await this.measureUploadSpeed(proxyConfig, signal);
+      signal.throwIfAborted();
       this.updateResult({ uploadSpeed });
 
       // Test completed
@@ -341,6 +371,11 @@ class SpeedTester {
 
       return this.getResult();
     } catch (error: any) {
+      if (signal.aborted) {
+        logger.log('Speed test cancelled');
+        this.updateResult({ status: 'cancelled', phase: 'Cancelled', error: undefined });
+        throw error;
+      }
       logger.log(`Speed test failed: ${error.message}`);
       this.updateResult({
         status: 'failed',
@@ -350,9 +385,21 @@ class SpeedTester {
       throw error;
     } finally {
       this.isTesting = false;
+      this.abortController = null;
+      if (portHeld) {
+        portAllocator.release(proxyPort);
+      }
     }
   }
 
+  // Abort the running test; in-flight requests are dropped at once. Returns false when nothing is running.
+  cancel(): boolean {
+    if (!this.abortController) return false;
+    logger.log('Cancelling speed test...');
+    this.abortController.abort(new Error('Speed test cancelled'));
+    return true;
+  }
+
   reset(): void {
     this.result = {
       downloadSpeed: 0,
@@ -363,6 +410,7 @@ class SpeedTester {
       progress: 0,
       phase: 'Ready'
     };
+    eventStream.publish('speed-test', { result: this.getResult(), isTesting: this.isTesting });
   }
 }
 
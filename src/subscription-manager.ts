@@ -0,0 +1,278 @@
+import path from 'path';
+import fs from 'fs-extra';
+import axios from 'axios';
+import crypto from 'crypto';
+import { logger } from './logger';
+import { xrayManager, SubscriptionEntry } from './xray-manager';
+import { connectionManager } from './connection-manager';
+import { parseShareLink } from './link-parser';
+
+const SUBSCRIPTIONS_JSON_PATH = path.join(__dirname, '../configs/subscriptions.json');
+
+// Configuration from environment variables
+const SUBSCRIPTION_FETCH_TIMEOUT = parseInt(process.env.SUBSCRIPTION_FETCH_TIMEOUT || '20000', 10);
+const SUBSCRIPTION_DEFAULT_INTERVAL = parseInt(process.env.SUBSCRIPTION_DEFAULT_INTERVAL || '360', 10); // minutes
+const SCHEDULER_TICK = 60 * 1000; // Check for due subscriptions every minute
+
+export interface Subscription {
+  id: string;
+  name: string;
+  url: string;
+  intervalMinutes: number;       // 0 disables scheduled refresh
+  lastRefresh: number | null;
+  lastStatus: 'ok' | 'error' | null;
+  lastError?: string;
+  configCount: number;
+  lastChanges?: { added: number; updated: number; removed: number; skipped: number }; // What the last successful refresh did
+}
+
+// Feed entries are told apart by their server rather than their display name, which providers change freely
+function entryKey(config: any): string {
+  const outbound = config?.outbounds?.[0];
+  const server = outbound?.settings?.vnext?.[0] ?? outbound?.settings?.servers?.[0];
+  return crypto.createHash('sha256')
+    .update(`${outbound?.protocol}|${server?.address}|${server?.port}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Decode a subscription body: either plain share links or base64 of them
+export function decodeSubscription(body: string): string[] {
+  let text = body.trim();
+  if (!text.includes('://')) {
+    text = Buffer.from(text.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '');
+}
+
+class SubscriptionManager {
+  private subscriptions: Subscription[] = [];
+  private refreshing = new Set<string>();
+  private schedulerTimer: NodeJS.Timeout | null = null;
+
+  async loadState(): Promise<void> {
+    try {
+      if (!(await fs.pathExists(SUBSCRIPTIONS_JSON_PATH))) {
+        this.subscriptions = [];
+        return;
+      }
+      this.subscriptions = await fs.readJson(SUBSCRIPTIONS_JSON_PATH);
+      logger.log(`[Subscriptions] Loaded ${this.subscriptions.length} subscriptions`);
+    } catch (err: any) {
+      logger.log(`[Subscriptions] Failed to load state: ${err.message}`);
+    }
+  }
+
+  private async saveState(): Promise<void> {
+    try {
+      await fs.ensureDir(path.dirname(SUBSCRIPTIONS_JSON_PATH));
+      await fs.writeJson(SUBSCRIPTIONS_JSON_PATH, this.subscriptions, { spaces: 2 });
+    } catch (err: any) {
+      logger.log(`[Subscriptions] Failed to save state: ${err.message}`);
+    }
+  }
+
+  getSubscriptions(): Subscription[] {
+    return this.subscriptions.map(s => ({ ...s }));
+  }
+
+  getSubscription(id: string): Subscription | undefined {
+    return this.subscriptions.find(s => s.id === id);
+  }
+
+  isRefreshing(id: string): boolean {
+    return this.refreshing.has(id);
+  }
+
+  async addSubscription(name: string, url: string, intervalMinutes?: number): Promise<Subscription> {
+    this.validateUrl(url);
+    if (this.subscriptions.find(s => s.name === name)) {
+      throw new Error(`Subscription with name "${name}" already exists`);
+    }
+
+    const subscription: Subscription = {
+      id: Date.now().toString(),
+      name,
+      url,
+      intervalMinutes: this.validateInterval(intervalMinutes ?? SUBSCRIPTION_DEFAULT_INTERVAL),
+      lastRefresh: null,
+      lastStatus: null,
+      configCount: 0
+    };
+
+    this.subscriptions.push(subscription);
+    await this.saveState();
+    logger.log(`[Subscriptions] Added subscription: ${name}`);
+    return subscription;
+  }
+
+  async updateSubscription(id: string, updates: { name?: string; url?: string; intervalMinutes?: number }): Promise<void> {
+    const subscription = this.getSubscription(id);
+    if (!subscription) {
+      throw new Error(`Subscription "${id}" not found`);
+    }
+
+    if (updates.name !== undefined && updates.name !== subscription.name) {
+      if (this.subscriptions.find(s => s.name === updates.name)) {
+        throw new Error(`Subscription with name "${updates.name}" already exists`);
+      }
+      subscription.name = updates.name;
+    }
+    if (updates.url !== undefined) {
+      this.validateUrl(updates.url);
+      subscription.url = updates.url;
+    }
+    if (updates.intervalMinutes !== undefined) {
+      subscription.intervalMinutes = this.validateInterval(updates.intervalMinutes);
+    }
+
+    await this.saveState();
+    logger.log(`[Subscriptions] Updated subscription: ${subscription.name}`);
+  }
+
+  // Returns how many configs were removed with it
+  async removeSubscription(id: string): Promise<number> {
+    const subscription = this.getSubscription(id);
+    if (!subscription) {
+      throw new Error(`Subscription "${id}" not found`);
+    }
+
+    // Drop every config this subscription owns
+    const { removed } = await xrayManager.syncSubscriptionConfigs(id, []);
+    await this.removeOrphanedConnections(removed.map(c => c.id));
+
+    this.subscriptions = this.subscriptions.filter(s => s.id !== id);
+    await this.saveState();
+    logger.log(`[Subscriptions] Removed subscription "${subscription.name}" and ${removed.length} configs`);
+    return removed.length;
+  }
+
+  async refreshSubscription(id: string): Promise<Subscription> {
+    const subscription = this.getSubscription(id);
+    if (!subscription) {
+      throw new Error(`Subscription "${id}" not found`);
+    }
+    if (this.refreshing.has(id)) {
+      throw new Error(`Subscription "${subscription.name}" is already refreshing`);
+    }
+
+    this.refreshing.add(id);
+    logger.log(`[Subscriptions] Refreshing "${subscription.name}" from ${subscription.url}...`);
+
+    try {
+      const response = await axios.get(subscription.url, {
+        timeout: SUBSCRIPTION_FETCH_TIMEOUT,
+        responseType: 'text',
+        transformResponse: data => data
+      });
+
+      const links = decodeSubscription(String(response.data));
+      const entries: SubscriptionEntry[] = [];
+      const keyCounts = new Map<string, number>();
+      for (const link of links) {
+        try {
+          const parsed = parseShareLink(link);
+          // Several entries for one server (e.g. different transports) are told apart by their order
+          const key = entryKey(parsed.config);
+          const count = (keyCounts.get(key) || 0) + 1;
+          keyCounts.set(key, count);
+          entries.push({ key: count === 1 ? key : `${key}-${count}`, name: parsed.name, config: parsed.config });
+        } catch (err: any) {
+          logger.log(`[Subscriptions] Skipping link in "${subscription.name}": ${err.message}`);
+        }
+      }
+
+      if (links.length > 0 && entries.length === 0) {
+        throw new Error('Feed contains no supported share links');
+      }
+
+      const result = await xrayManager.syncSubscriptionConfigs(id, entries);
+      await this.removeOrphanedConnections(result.removed.map(c => c.id));
+
+      subscription.lastStatus = 'ok';
+      subscription.lastError = undefined;
+      subscription.configCount = result.added + result.updated;
+      subscription.lastChanges = { added: result.added, updated: result.updated, removed: result.removed.length, skipped: result.skipped };
+      logger.log(`[Subscriptions] "${subscription.name}" refreshed: ${result.added} added, ${result.updated} updated, ${result.removed.length} removed, ${result.skipped} invalid`);
+    } catch (err: any) {
+      subscription.lastStatus = 'error';
+      subscription.lastError = err.message;
+      subscription.lastChanges = undefined;
+      logger.log(`[Subscriptions] Failed to refresh "${subscription.name}": ${err.message}`);
+    } finally {
+      subscription.lastRefresh = Date.now();
+      this.refreshing.delete(id);
+      await this.saveState();
+    }
+
+    return { ...subscription };
+  }
+
+  // ==================== Scheduling ====================
+
+  startScheduler(): void {
+    if (this.schedulerTimer) return;
+    this.schedulerTimer = setInterval(() => {
+      this.refreshDue().catch(err => logger.log(`[Subscriptions] Scheduled refresh error: ${err.message}`));
+    }, SCHEDULER_TICK);
+  }
+
+  stopScheduler(): void {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  async refreshDue(): Promise<void> {
+    const now = Date.now();
+    const due = this.subscriptions.filter(s =>
+      s.intervalMinutes > 0 &&
+      !this.refreshing.has(s.id) &&
+      (s.lastRefresh === null || now - s.lastRefresh >= s.intervalMinutes * 60 * 1000)
+    );
+
+    // Refresh one after another so a slow feed doesn't hold the configs file
+    for (const subscription of due) {
+      await this.refreshSubscription(subscription.id);
+    }
+  }
+
+  // ==================== Private Helper Methods ====================
+
+  private async removeOrphanedConnections(configIds: string[]): Promise<void> {
+    for (const configId of configIds) {
+      if (connectionManager.getConnection(configId)) {
+        try {
+          await connectionManager.removeConnection(configId);
+        } catch (err: any) {
+          logger.log(`[Subscriptions] Failed to remove connection "${configId}": ${err.message}`);
+        }
+      }
+    }
+  }
+
+  private validateUrl(url: string): void {
+    let parsed: URL;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid subscription URL "${url}"`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Subscription URL must use http or https');
+    }
+  }
+
+  private validateInterval(intervalMinutes: number): number {
+    if (typeof intervalMinutes !== 'number' || isNaN(intervalMinutes) || intervalMinutes < 0) {
+      throw new Error('Refresh interval must be a non-negative number of minutes');
+    }
+    return Math.floor(intervalMinutes);
+  }
+}
+
+export const subscriptionManager = new SubscriptionManager();
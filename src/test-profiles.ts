@@ -0,0 +1,172 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger';
+
+const TEST_PROFILES_JSON_PATH = path.join(__dirname, '../configs/test-profiles.json');
+
+const TEST_URL = process.env.TEST_URL || 'http://google.com';
+const MAX_SAMPLES = 20;
+const MAX_TARGETS = 10;
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export interface TestProfile {
+  id: string;
+  name: string;
+  targets: string[];             // URLs requested through the config
+  samples: number;               // Requests per target
+  expectedStatus: number | null; // Required status code; null accepts any 2xx
+  builtin?: boolean;             // Shipped profiles can be edited but not deleted
+}
+
+const BUILTIN_PROFILES: TestProfile[] = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Default',
+    targets: [TEST_URL],
+    samples: 1,
+    expectedStatus: null,
+    builtin: true
+  },
+  {
+    id: 'generate-204',
+    name: 'Generate 204 (5 samples)',
+    targets: ['http://cp.cloudflare.com/generate_204', 'http://www.gstatic.com/generate_204'],
+    samples: 5,
+    expectedStatus: 204,
+    builtin: true
+  }
+];
+
+type ProfileInput = Partial<Pick<TestProfile, 'name' | 'targets' | 'samples' | 'expectedStatus'>>;
+
+class TestProfileManager {
+  private profiles: TestProfile[] = BUILTIN_PROFILES.map(p => ({ ...p, targets: [...p.targets] }));
+
+  async loadState(): Promise<void> {
+    try {
+      if (!(await fs.pathExists(TEST_PROFILES_JSON_PATH))) return;
+      const saved: TestProfile[] = await fs.readJson(TEST_PROFILES_JSON_PATH);
+      // Saved copies of built-in profiles replace the shipped defaults
+      const builtins = BUILTIN_PROFILES
+        .filter(b => !saved.find(p => p.id === b.id))
+        .map(p => ({ ...p, targets: [...p.targets] }));
+      this.profiles = [...builtins, ...saved];
+      logger.log(`[TestProfiles] Loaded ${saved.length} saved profiles`);
+    } catch (err: any) {
+      logger.log(`[TestProfiles] Failed to load state: ${err.message}`);
+    }
+  }
+
+  private async saveState(): Promise<void> {
+    try {
+      await fs.ensureDir(path.dirname(TEST_PROFILES_JSON_PATH));
+      await fs.writeJson(TEST_PROFILES_JSON_PATH, this.profiles, { spaces: 2 });
+    } catch (err: any) {
+      logger.log(`[TestProfiles] Failed to save state: ${err.message}`);
+    }
+  }
+
+  getProfiles(): TestProfile[] {
+    return this.profiles.map(p => ({ ...p, targets: [...p.targets] }));
+  }
+
+  getProfile(id: string = DEFAULT_PROFILE_ID): TestProfile {
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile) {
+      throw new Error(`Test profile "${id}" not found`);
+    }
+    return { ...profile, targets: [...profile.targets] };
+  }
+
+  async addProfile(input: ProfileInput): Promise<TestProfile> {
+    if (!input.name || !input.targets) {
+      throw new Error('Name and targets are required');
+    }
+    const profile: TestProfile = {
+      id: Date.now().toString(),
+      name: '',
+      targets: [],
+      samples: 1,
+      expectedStatus: null
+    };
+    this.applyInput(profile, input);
+
+    this.profiles.push(profile);
+    await this.saveState();
+    logger.log(`[TestProfiles] Added profile: ${profile.name}`);
+    return profile;
+  }
+
+  async updateProfile(id: string, input: ProfileInput): Promise<TestProfile> {
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile) {
+      throw new Error(`Test profile "${id}" not found`);
+    }
+    // Validate on a copy so a bad field leaves the profile untouched
+    const updated = { ...profile, targets: [...profile.targets] };
+    this.applyInput(updated, input);
+    Object.assign(profile, updated);
+
+    await this.saveState();
+    logger.log(`[TestProfiles] Updated profile: ${profile.name}`);
+    return profile;
+  }
+
+  async removeProfile(id: string): Promise<void> {
+    const profile = this.profiles.find(p => p.id === id);
+    if (!profile) {
+      throw new Error(`Test profile "${id}" not found`);
+    }
+    if (profile.builtin) {
+      throw new Error(`Built-in profile "${profile.name}" cannot be deleted`);
+    }
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    await this.saveState();
+    logger.log(`[TestProfiles] Removed profile: ${profile.name}`);
+  }
+
+  private applyInput(profile: TestProfile, input: ProfileInput): void {
+    if (input.name !== undefined) {
+      const name = String(input.name).trim();
+      if (!name) {
+        throw new Error('Name must not be empty');
+      }
+      if (this.profiles.find(p => p.name === name && p.id !== profile.id)) {
+        throw new Error(`Test profile with name "${name}" already exists`);
+      }
+      profile.name = name;
+    }
+    if (input.targets !== undefined) {
+      if (!Array.isArray(input.targets) || input.targets.length === 0 || input.targets.length > MAX_TARGETS) {
+        throw new Error(`Targets must be a list of 1 to ${MAX_TARGETS} URLs`);
+      }
+      input.targets.forEach(target => {
+        let parsed: URL;
+        try {
+          parsed = new URL(target);
+        } catch {
+          throw new Error(`Invalid target URL: ${target}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          throw new Error(`Target must be an http(s) URL: ${target}`);
+        }
+      });
+      profile.targets = [...input.targets];
+    }
+    if (input.samples !== undefined) {
+      if (!Number.isInteger(input.samples) || input.samples < 1 || input.samples > MAX_SAMPLES) {
+        throw new Error(`Samples must be between 1 and ${MAX_SAMPLES}`);
+      }
+      profile.samples = input.samples;
+    }
+    if (input.expectedStatus !== undefined) {
+      if (input.expectedStatus !== null && (!Number.isInteger(input.expectedStatus) || input.expectedStatus < 100 || input.expectedStatus > 599)) {
+        throw new Error('Expected status must be an HTTP status code or null');
+      }
+      profile.expectedStatus = input.expectedStatus;
+    }
+  }
+}
+
+export const testProfiles = new TestProfileManager();
@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { logger } from './logger';
+import { processSupervisor } from './process-supervisor';
+import { connectionManager, ConnectionStatus, STATS_API_TAG } from './connection-manager';
+import { eventStream } from './event-stream';
+
+// Configuration from environment variables
+const STATS_POLL_INTERVAL = parseInt(process.env.STATS_POLL_INTERVAL || '5000', 10); // 0 disables polling
+const STATS_QUERY_TIMEOUT = 3000;
+
+export interface TrafficCounter {
+  uplink: number;                // Bytes sent by clients
+  downlink: number;              // Bytes received by clients
+}
+
+export interface ConnectionTraffic {
+  id: string;
+  total: TrafficCounter;         // Since the connection process started
+  rate: TrafficCounter;          // Bytes per second over the last poll
+  inbounds: Record<string, TrafficCounter>;
+  outbounds: Record<string, TrafficCounter>;
+  lastUpdated: number | null;
+}
+
+// Emits 'traffic' (id, delta: TrafficCounter) after each successful poll
+class TrafficStats extends EventEmitter {
+  private stats = new Map<string, ConnectionTraffic>();
+  private apiPorts = new Map<string, number>(); // Process the stored counters belong to
+  private pollTimer: NodeJS.Timeout | null = null;
+  private polling: boolean = false;
+
+  start(): void {
+    if (this.pollTimer || STATS_POLL_INTERVAL <= 0) return;
+    this.pollTimer = setInterval(() => {
+      this.pollAll().catch(err => logger.log(`[TrafficStats] Poll error: ${err.message}`));
+    }, STATS_POLL_INTERVAL);
+  }
+
+  stop(): void {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  getStats(id: string): ConnectionTraffic {
+    return this.stats.get(id) ?? this.emptyStats(id);
+  }
+
+  getAllStats(): ConnectionTraffic[] {
+    return connectionManager.getConnections().map(c => this.getStats(c.id));
+  }
+
+  async pollAll(): Promise<void> {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const connections = connectionManager.getConnections();
+      const running = connections.filter(c => c.status === ConnectionStatus.RUNNING && c.apiPort);
+
+      // Forget counters of connections that are gone or no longer running
+      for (const id of Array.from(this.stats.keys())) {
+        if (!running.find(c => c.id === id)) {
+          this.stats.delete(id);
+          this.apiPorts.delete(id);
+        }
+      }
+
+      await Promise.all(running.map(c => this.pollConnection(c.id, c.apiPort!)));
+      if (running.length > 0) {
+        eventStream.publish('traffic', { stats: this.getAllStats() });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async pollConnection(id: string, apiPort: number): Promise<void> {
+    let counters: { name: string; value: number }[];
+    try {
+      counters = await this.queryStats(apiPort);
+    } catch (err: any) {
+      logger.log(`[TrafficStats] Failed to query connection ${id}: ${err.message}`);
+      return;
+    }
+
+    // A new process means counters restarted from zero
+    if (this.apiPorts.get(id) !== apiPort) {
+      this.stats.delete(id);
+      this.apiPorts.set(id, apiPort);
+    }
+
+    const previous = this.stats.get(id);
+    const next = this.emptyStats(id);
+
+    for (const { name, value } of counters) {
+      // Counter names look like inbound>>>http-in>>>traffic>>>uplink
+      const [kind, tag, , direction] = name.split('>>>');
+      if (tag === STATS_API_TAG || (direction !== 'uplink' && direction !== 'downlink')) continue;
+      const group = kind === 'inbound' ? next.inbounds : kind === 'outbound' ? next.outbounds : null;
+      if (!group) continue;
+      if (!group[tag]) group[tag] = { uplink: 0, downlink: 0 };
+      group[tag][direction] = value;
+    }
+
+    // Client traffic is what passes through the proxy inbounds
+    Object.values(next.inbounds).forEach(counter => {
+      next.total.uplink += counter.uplink;
+      next.total.downlink += counter.downlink;
+    });
+
+    const now = Date.now();
+    const delta: TrafficCounter = {
+      uplink: Math.max(next.total.uplink - (previous?.total.uplink ?? 0), 0),
+      downlink: Math.max(next.total.downlink - (previous?.total.downlink ?? 0), 0)
+    };
+    if (previous?.lastUpdated) {
+      const seconds = Math.max((now - previous.lastUpdated) / 1000, 0.001);
+      next.rate = { uplink: Math.round(delta.uplink / seconds), downlink: Math.round(delta.downlink / seconds) };
+    }
+    next.lastUpdated = now;
+    this.stats.set(id, next);
+
+    if (delta.uplink > 0 || delta.downlink > 0) {
+      this.emit('traffic', id, delta);
+    }
+  }
+
+  // Query the stats service through the xray CLI
+  private queryStats(apiPort: number): Promise<{ name: string; value: number }[]> {
+    return new Promise((resolve, reject) => {
+      let output = '';
+      const query = processSupervisor.track(spawn('xray', ['api', 'statsquery', `--server=127.0.0.1:${apiPort}`]), 'stats query');
+
+      const timeout = setTimeout(() => {
+        query.kill('SIGKILL');
+        reject(new Error('Stats query timed out'));
+      }, STATS_QUERY_TIMEOUT);
+
+      query.stdout?.on('data', (data) => { output += data.toString(); });
+      query.stderr?.on('data', (data) => { output += data.toString(); });
+      query.on('error', (err) => {
+        clearTimeout(timeout);
+        reject(err);
+      });
+      query.on('close', (code) => {
+        clearTimeout(timeout);
+        if (code !== 0) {
+          reject(new Error(output.trim() || `xray api exited with code ${code}`));
+          return;
+        }
+        try {
+          const parsed = JSON.parse(output || '{}');
+          // int64 values are serialized as strings and omitted when zero
+          resolve((parsed.stat || []).map((s: any) => ({ name: s.name, value: Number(s.value || 0) })));
+        } catch {
+          reject(new Error('Unexpected stats query output'));
+        }
+      });
+    });
+  }
+
+  private emptyStats(id: string): ConnectionTraffic {
+    return {
+      id,
+      total: { uplink: 0, downlink: 0 },
+      rate: { uplink: 0, downlink: 0 },
+      inbounds: {},
+      outbounds: {},
+      lastUpdated: null
+    };
+  }
+}
+
+export const trafficStats = new TrafficStats();
@@ -0,0 +1,209 @@
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { logger } from './logger';
+
+const USERS_JSON_PATH = path.join(__dirname, '../configs/users.json');
+
+// Configuration from environment variables
+export const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+// Checked when the username is unknown, so the response time does not reveal which usernames exist
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(SALT_BYTES).toString('hex')}$${crypto.randomBytes(KEY_LENGTH).toString('hex')}`;
+
+// Ordered from least to most privileged
+export const ROLES = ['viewer', 'operator', 'admin'] as const;
+export type Role = typeof ROLES[number];
+
+export interface User {
+  id: string;
+  username: string;
+  role: Role;
+  passwordHash: string;          // scrypt$<salt hex>$<key hex>
+  createdAt: number;
+}
+
+export type PublicUser = Omit<User, 'passwordHash'>;
+
+type UserInput = Partial<Pick<User, 'username' | 'role'>> & { password?: string };
+
+export function hasRole(role: Role, required: Role): boolean {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password: string, passwordHash: string): Promise<boolean> {
+  const [scheme, saltHex, keyHex] = passwordHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Bad input or a rule such as "keep one admin"; anything else thrown here is a storage failure
+export class UserValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UserValidationError';
+  }
+}
+
+function toPublic(user: User): PublicUser {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+class UserManager {
+  private users: User[] = [];
+
+  // The first boot creates an admin from ADMIN_PASSWORD so existing setups keep their login
+  async loadState(): Promise<void> {
+    try {
+      if (await fs.pathExists(USERS_JSON_PATH)) {
+        this.users = await fs.readJson(USERS_JSON_PATH);
+        logger.log(`[Users] Loaded ${this.users.length} users`);
+        return;
+      }
+      this.users = [{
+        id: Date.now().toString(),
+        username: ADMIN_USERNAME,
+        role: 'admin',
+        passwordHash: await hashPassword(ADMIN_PASSWORD),
+        createdAt: Date.now()
+      }];
+      await this.saveState();
+      logger.log(`[Users] Created initial admin user "${ADMIN_USERNAME}" from ADMIN_PASSWORD`);
+    } catch (err: any) {
+      logger.log(`[Users] Failed to load state: ${err.message}`);
+    }
+  }
+
+  private async saveState(): Promise<void> {
+    try {
+      await fs.ensureDir(path.dirname(USERS_JSON_PATH));
+      await fs.writeJson(USERS_JSON_PATH, this.users, { spaces: 2 });
+    } catch (err: any) {
+      logger.log(`[Users] Failed to save state: ${err.message}`);
+      throw err;
+    }
+  }
+
+  // Swap in a changed user list and persist it; the old list stays in memory if the write fails
+  private async commit(users: User[]): Promise<void> {
+    const previous = this.users;
+    this.users = users;
+    try {
+      await this.saveState();
+    } catch (err) {
+      this.users = previous;
+      throw err;
+    }
+  }
+
+  getUsers(): PublicUser[] {
+    return this.users.map(toPublic);
+  }
+
+  getUser(id: string): PublicUser | undefined {
+    const user = this.users.find(u => u.id === id);
+    return user && toPublic(user);
+  }
+
+  // Returns the user when the username and password match
+  async authenticate(username: string, password: string): Promise<PublicUser | null> {
+    const user = this.users.find(u => u.username === username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) return null;
+    return toPublic(user);
+  }
+
+  async addUser(input: UserInput): Promise<PublicUser> {
+    if (!input.username || !input.password || !input.role) {
+      throw new UserValidationError('Username, password and role are required');
+    }
+    const user: User = {
+      id: Date.now().toString(),
+      username: '',
+      role: 'viewer',
+      passwordHash: '',
+      createdAt: Date.now()
+    };
+    await this.applyInput(user, input);
+
+    await this.commit([...this.users, user]);
+    logger.log(`[Users] Added ${user.role} "${user.username}"`);
+    return toPublic(user);
+  }
+
+  async updateUser(id: string, input: UserInput): Promise<PublicUser> {
+    const user = this.users.find(u => u.id === id);
+    if (!user) {
+      throw new UserValidationError(`User "${id}" not found`);
+    }
+    if (input.role !== undefined && input.role !== 'admin' && this.isLastAdmin(user)) {
+      throw new UserValidationError('The last admin cannot be demoted');
+    }
+    // Validate on a copy so a bad field or a failed write leaves the user untouched
+    const updated = { ...user };
+    await this.applyInput(updated, input);
+    await this.commit(this.users.map(u => u.id === id ? updated : u));
+
+    logger.log(`[Users] Updated user "${updated.username}"`);
+    return toPublic(updated);
+  }
+
+  async removeUser(id: string): Promise<void> {
+    const user = this.users.find(u => u.id === id);
+    if (!user) {
+      throw new UserValidationError(`User "${id}" not found`);
+    }
+    if (this.isLastAdmin(user)) {
+      throw new UserValidationError('The last admin cannot be removed');
+    }
+    await this.commit(this.users.filter(u => u.id !== id));
+    logger.log(`[Users] Removed user "${user.username}"`);
+  }
+
+  private isLastAdmin(user: User): boolean {
+    return user.role === 'admin' && this.users.filter(u => u.role === 'admin').length === 1;
+  }
+
+  private async applyInput(user: User, input: UserInput): Promise<void> {
+    if (input.username !== undefined) {
+      const username = String(input.username).trim();
+      if (!/^[A-Za-z0-9._-]{1,32}$/.test(username)) {
+        throw new UserValidationError('Username must be 1-32 letters, digits, dots, dashes or underscores');
+      }
+      if (this.users.find(u => u.username === username && u.id !== user.id)) {
+        throw new UserValidationError(`User "${username}" already exists`);
+      }
+      user.username = username;
+    }
+    if (input.role !== undefined) {
+      if (!ROLES.includes(input.role)) {
+        throw new UserValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+      user.role = input.role;
+    }
+    if (input.password !== undefined) {
+      if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+        throw new UserValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      user.passwordHash = await hashPassword(input.password);
+    }
+  }
+}
+
+export const userManager = new UserManager();
@@ -2,15 +2,21 @@ import { spawn, ChildProcess } from 'child_process';
 import path from 'path';
 import { logger } from './logger';
 import fs from 'fs-extra';
+import { configValidator } from './config-validator';
+import { processSupervisor } from './process-supervisor';
 
 const CONFIG_PATH = path.join(__dirname, '../configs/main/config.json');
 const OTHERS_CONFIG_DIR = path.join(__dirname, '../configs/others');
 const OTHERS_JSON_PATH = path.join(__dirname, '../configs/others.json');
 const STATE_JSON_PATH = path.join(__dirname, '../configs/state.json');
 
+let lastGeneratedId = 0;
+
 // Generate unique ID using datetime
 function generateUniqueId(): string {
-  return Date.now().toString();
+  // Bulk imports can create several configs within the same millisecond
+  lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+  return lastGeneratedId.toString();
 }
 
 export enum XrayStatus {
@@ -23,6 +29,21 @@ export interface ConfigItem {
   id: string;
   name: string;
   config: any;
+  subscriptionId?: string;       // Set when the config is owned by a subscription
+  subscriptionKey?: string;      // Identifies the feed entry across refreshes, independent of its name
+}
+
+export interface SubscriptionEntry {
+  key: string;
+  name: string;
+  config: any;
+}
+
+export interface SubscriptionSyncResult {
+  added: number;
+  updated: number;
+  skipped: number;               // Entries that failed validation
+  removed: ConfigItem[];
 }
 
 class XrayManager {
@@ -119,24 +140,28 @@ class XrayManager {
     try {
       // Assuming 'xray' is in the PATH. 
       // The plan says: spawn xray run -c configs/main/config.json
-      this.process = spawn('xray', ['run', '-c', CONFIG_PATH]);
+      const child = processSupervisor.track(spawn('xray', ['run', '-c', CONFIG_PATH]), 'main xray');
+      this.process = child;
 
-      this.process.stdout?.on('data', (data) => {
+      child.stdout?.on('data', (data) => {
         logger.log(data.toString());
       });
 
-      this.process.stderr?.on('data', (data) => {
+      child.stderr?.on('data', (data) => {
         logger.log(`[ERROR] ${data.toString()}`);
       });
 
-      this.process.on('close', (code) => {
+      child.on('close', (code) => {
         logger.log(`Xray process exited with code ${code}`);
+        // Ignore a stopped process that exits after a new one was started
+        if (this.process !== child) return;
         this.status = XrayStatus.STOPPED;
         this.process = null;
       });
 
-      this.process.on('error', (err) => {
+      child.on('error', (err) => {
         logger.log(`Failed to start Xray: ${err.message}`);
+        if (this.process !== child) return;
         this.status = XrayStatus.STOPPED;
         this.process = null;
       });
@@ -152,26 +177,28 @@ class XrayManager {
     }
   }
 
-  stop(): void {
+  async stop(): Promise<void> {
     if (!this.process) {
       this.status = XrayStatus.STOPPED;
       return;
     }
 
     logger.log('Stopping Xray...');
-    this.process.kill();
+    const child = this.process;
     this.process = null;
+    await processSupervisor.terminate(child);
     this.status = XrayStatus.STOPPED;
     this.connectionStartTime = null;
     this.saveState().catch(err => logger.log(`Failed to save state: ${err.message}`));
   }
 
-  async switchConfig(name: string): Promise<void> {
-    const configs = await this.listConfigs();
-    const item = configs.find(c => c.name === name);
+  // Accepts a config ID, or a config name for older clients
+  async switchConfig(idOrName: string): Promise<void> {
+    const item = await this.findConfig(idOrName);
     if (!item) {
-      throw new Error(`Config ${name} not found`);
+      throw new Error(`Config ${idOrName} not found`);
     }
+    const name = item.name;
 
     logger.log(`Switching to config ${name}...`);
     this.activeConfigName = name;
@@ -179,9 +206,7 @@ class XrayManager {
     
     const wasRunning = this.status === XrayStatus.RUNNING;
     if (wasRunning) {
-      this.stop();
-      // Wait for process to stop
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await this.stop();
     }
 
     await fs.writeJson(CONFIG_PATH, item.config, { spaces: 2 });
@@ -199,56 +224,77 @@ class XrayManager {
     return await fs.readJson(OTHERS_JSON_PATH);
   }
 
-  async addConfig(name: string, config: any): Promise<void> {
+  // ==================== Configs by ID ====================
+  // The ID is the stable key of a config; its name is a mutable label.
+
+  async getConfigById(id: string): Promise<ConfigItem | undefined> {
+    const configs = await this.listConfigs();
+    return configs.find(c => c.id === id);
+  }
+
+  // Look a config up by ID, falling back to its name for older clients
+  async findConfig(idOrName: string): Promise<ConfigItem | undefined> {
+    const configs = await this.listConfigs();
+    return configs.find(c => c.id === idOrName) ?? configs.find(c => c.name === idOrName);
+  }
+
+  async addConfig(name: string, config: any): Promise<ConfigItem> {
     const configs = await this.listConfigs();
     if (configs.find(c => c.name === name)) {
       throw new Error(`Config with name "${name}" already exists`);
     }
-    configs.push({ id: generateUniqueId(), name, config });
+    await configValidator.assertValid(config);
+    const item: ConfigItem = { id: generateUniqueId(), name, config };
+    configs.push(item);
     await fs.writeJson(OTHERS_JSON_PATH, configs, { spaces: 2 });
     logger.log(`Added config: ${name}`);
+    return item;
   }
 
-  async removeConfig(name: string): Promise<void> {
-    let configs = await this.listConfigs();
-    const initialLength = configs.length;
-    configs = configs.filter(c => c.name !== name);
-    if (configs.length === initialLength) {
-      throw new Error(`Config "${name}" not found`);
+  async removeConfigById(id: string): Promise<void> {
+    const configs = await this.listConfigs();
+    const item = configs.find(c => c.id === id);
+    if (!item) {
+      throw new Error(`Config with ID "${id}" not found`);
     }
-    await fs.writeJson(OTHERS_JSON_PATH, configs, { spaces: 2 });
-    logger.log(`Removed config: ${name}`);
-    if (this.activeConfigName === name) {
+    await fs.writeJson(OTHERS_JSON_PATH, configs.filter(c => c !== item), { spaces: 2 });
+    logger.log(`Removed config: ${item.name}`);
+    if (this.activeConfigName === item.name) {
       this.activeConfigName = null;
       await this.saveState();
     }
   }
 
-  async updateConfig(name: string, newConfig: any): Promise<void> {
+  async updateConfigById(id: string, newConfig: any): Promise<ConfigItem> {
     const configs = await this.listConfigs();
-    const index = configs.findIndex(c => c.name === name);
-    if (index === -1) {
-      throw new Error(`Config "${name}" not found`);
+    const item = configs.find(c => c.id === id);
+    if (!item) {
+      throw new Error(`Config with ID "${id}" not found`);
     }
-    configs[index].config = newConfig;
+    await configValidator.assertValid(newConfig);
+    item.config = newConfig;
     await fs.writeJson(OTHERS_JSON_PATH, configs, { spaces: 2 });
-    logger.log(`Updated config: ${name}`);
+    logger.log(`Updated config: ${item.name}`);
+    return item;
   }
 
-  async renameConfig(oldName: string, newName: string): Promise<void> {
+  async renameConfigById(id: string, newName: string): Promise<ConfigItem> {
     const configs = await this.listConfigs();
-    const index = configs.findIndex(c => c.name === oldName);
-    if (index === -1) {
-      throw new Error(`Config "${oldName}" not found`);
+    const item = configs.find(c => c.id === id);
+    if (!item) {
+      throw new Error(`Config with ID "${id}" not found`);
+    }
+    if (!newName || !newName.trim()) {
+      throw new Error('New name must not be empty');
     }
 
     // Check if new name already exists
-    if (configs.find(c => c.name === newName)) {
+    if (configs.find(c => c.name === newName && c.id !== id)) {
       throw new Error(`Config with name "${newName}" already exists`);
     }
 
-    // Update the name
-    configs[index].name = newName;
+    const oldName = item.name;
+    item.name = newName;
     await fs.writeJson(OTHERS_JSON_PATH, configs, { spaces: 2 });
     logger.log(`Renamed config from "${oldName}" to "${newName}"`);
 
@@ -257,6 +303,123 @@ class XrayManager {
       this.activeConfigName = newName;
       await this.saveState();
     }
+    return item;
+  }
+
+  // Copy a config under a new ID; without a name it becomes "<name> (copy)", "<name> (copy 2)", ...
+  async duplicateConfig(id: string, newName?: string): Promise<ConfigItem> {
+    const configs = await this.listConfigs();
+    const source = configs.find(c => c.id === id);
+    if (!source) {
+      throw new Error(`Config with ID "${id}" not found`);
+    }
+
+    let name = newName?.trim() || `${source.name} (copy)`;
+    if (newName?.trim()) {
+      if (configs.find(c => c.name === name)) {
+        throw new Error(`Config with name "${name}" already exists`);
+      }
+    } else {
+      for (let n = 2; configs.find(c => c.name === name); n++) {
+        name = `${source.name} (copy ${n})`;
+      }
+    }
+
+    // The copy belongs to the user, not to the subscription the source came from
+    const item: ConfigItem = { id: generateUniqueId(), name, config: JSON.parse(JSON.stringify(source.config)) };
+    configs.push(item);
+    await fs.writeJson(OTHERS_JSON_PATH, configs, { spaces: 2 });
+    logger.log(`Duplicated config "${source.name}" as "${name}"`);
+    return item;
+  }
+
+  // ==================== Configs by name (compatibility) ====================
+
+  async getConfig(name: string): Promise<ConfigItem> {
+    const configs = await this.listConfigs();
+    const item = configs.find(c => c.name === name);
+    if (!item) {
+      throw new Error(`Config "${name}" not found`);
+    }
+    return item;
+  }
+
+  async removeConfig(name: string): Promise<void> {
+    const item = await this.getConfig(name);
+    await this.removeConfigById(item.id);
+  }
+
+  async updateConfig(name: string, newConfig: any): Promise<void> {
+    const item = await this.getConfig(name);
+    await this.updateConfigById(item.id, newConfig);
+  }
+
+  async renameConfig(oldName: string, newName: string): Promise<void> {
+    const item = await this.getConfig(oldName);
+    await this.renameConfigById(item.id, newName);
+  }
+
+  // Entries are matched to the configs they created by key, so a refresh keeps config IDs
+  // (and with them connections and latency history) and any name the user gave a config
+  async syncSubscriptionConfigs(subscriptionId: string, entries: SubscriptionEntry[]): Promise<SubscriptionSyncResult> {
+    const valid: SubscriptionEntry[] = [];
+    for (const entry of entries) {
+      try {
+        await configValidator.assertValid(entry.config);
+        valid.push(entry);
+      } catch (err: any) {
+        logger.log(`Skipping invalid config "${entry.name}" from subscription ${subscriptionId}: ${err.message}`);
+      }
+    }
+    // Don't wipe every config of the subscription because of one bad fetch
+    if (entries.length > 0 && valid.length === 0) {
+      throw new Error('Feed contains no valid configs');
+    }
+
+    const configs = await this.listConfigs();
+    const owned = configs.filter(c => c.subscriptionId === subscriptionId);
+    const kept = new Set<ConfigItem>();
+    const unmatched: SubscriptionEntry[] = [];
+    let updated = 0;
+
+    for (const entry of valid) {
+      // Configs synced before keys existed are matched by name once and then get the key
+      const existing = owned.find(c => !kept.has(c) && c.subscriptionKey === entry.key)
+        || owned.find(c => !kept.has(c) && !c.subscriptionKey && c.name === entry.name);
+      if (existing) {
+        existing.config = entry.config;
+        existing.subscriptionKey = entry.key;
+        kept.add(existing);
+        updated++;
+      } else {
+        unmatched.push(entry);
+      }
+    }
+
+    // New configs must not take a name that is in use
+    const removed = owned.filter(c => !kept.has(c));
+    const usedNames = new Set(configs.filter(c => !removed.includes(c)).map(c => c.name));
+    for (const entry of unmatched) {
+      let name = entry.name;
+      for (let n = 2; usedNames.has(name); n++) {
+        name = `${entry.name} (${n})`;
+      }
+      usedNames.add(name);
+      configs.push({ id: generateUniqueId(), name, config: entry.config, subscriptionId, subscriptionKey: entry.key });
+    }
+    const added = unmatched.length;
+    const skipped = entries.length - valid.length;
+
+    const remaining = configs.filter(c => !removed.includes(c));
+    await fs.writeJson(OTHERS_JSON_PATH, remaining, { spaces: 2 });
+    logger.log(`Synced subscription ${subscriptionId}: ${added} added, ${updated} updated, ${removed.length} removed, ${skipped} skipped`);
+
+    if (this.activeConfigName && removed.find(c => c.name === this.activeConfigName)) {
+      this.activeConfigName = null;
+      await this.saveState();
+    }
+
+    return { added, updated, skipped, removed };
   }
 
   private async saveState(): Promise<void> {
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// The managers keep their state next to the sources (../configs), so the tests load a copy of src/
+// from a temp directory and never touch the real configs
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+let workDir: string;
+let server: http.Server;
+let feedUrl: string;
+let feedBody = '';
+let subscriptionManager: any;
+let decodeSubscription: (body: string) => string[];
+let xrayManager: any;
+
+function base64Fixture(name: string): string {
+  return Buffer.from(fs.readFileSync(path.join(FIXTURES, name), 'utf8')).toString('base64');
+}
+
+async function subscriptionConfigs(subscriptionId: string): Promise<any[]> {
+  return (await xrayManager.listConfigs()).filter((c: any) => c.subscriptionId === subscriptionId);
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'subscription-test-'));
+  await fs.copy(path.join(ROOT, 'src'), path.join(workDir, 'src'));
+  await fs.symlink(path.join(ROOT, 'node_modules'), path.join(workDir, 'node_modules'), 'dir');
+
+  // Stand-in for `xray run -test`: rejects any config pointing at rejected.example.com
+  const binDir = path.join(workDir, 'bin');
+  await fs.ensureDir(binDir);
+  await fs.writeFile(path.join(binDir, 'xray'), [
+    '#!/bin/sh',
+    'if grep -q rejected.example.com "$4"; then echo "Failed to build outbound: rejected" >&2; exit 1; fi',
+    'exit 0',
+    ''
+  ].join('\n'), { mode: 0o755 });
+  process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(feedBody);
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as { port: number };
+  feedUrl = `http://127.0.0.1:${port}/feed`;
+
+  ({ subscriptionManager, decodeSubscription } = require(path.join(workDir, 'src/subscription-manager')));
+  ({ xrayManager } = require(path.join(workDir, 'src/xray-manager')));
+  await xrayManager.ensureFilesExist();
+});
+
+after(async () => {
+  await new Promise<void>(resolve => server.close(() => resolve()));
+  await fs.remove(workDir);
+});
+
+test('decodeSubscription reads base64 and plain feeds', () => {
+  const plain = fs.readFileSync(path.join(FIXTURES, 'subscription-feed.txt'), 'utf8');
+  const expected = plain.split('\n').map(line => line.trim()).filter(line => line !== '');
+
+  assert.deepEqual(decodeSubscription(base64Fixture('subscription-feed.txt')), expected);
+  assert.deepEqual(decodeSubscription(`\n${plain}\n\n`), expected);
+  // Some providers wrap base64 bodies across lines
+  assert.deepEqual(decodeSubscription(base64Fixture('subscription-feed.txt').replace(/(.{76})/g, '$1\n')), expected);
+});
+
+test('refreshSubscription adds, updates, removes and skips configs', async () => {
+  feedBody = base64Fixture('subscription-feed.txt');
+  const subscription = await subscriptionManager.addSubscription('Fixture', feedUrl, 0);
+
+  const first = await subscriptionManager.refreshSubscription(subscription.id);
+  assert.equal(first.lastStatus, 'ok', first.lastError);
+  // The unsupported link is dropped while parsing; the rejected one fails validation
+  assert.deepEqual(first.lastChanges, { added: 3, updated: 0, removed: 0, skipped: 1 });
+  assert.equal(first.configCount, 3);
+
+  const initial = await subscriptionConfigs(subscription.id);
+  assert.deepEqual(initial.map(c => c.name).sort(), ['Server A', 'Server B', 'Server C']);
+  const serverA = initial.find(c => c.name === 'Server A');
+  const serverC = initial.find(c => c.name === 'Server C');
+
+  // The provider renames A, changes C's transport, drops B and adds D
+  feedBody = base64Fixture('subscription-feed-updated.txt');
+  const second = await subscriptionManager.refreshSubscription(subscription.id);
+  assert.equal(second.lastStatus, 'ok', second.lastError);
+  assert.deepEqual(second.lastChanges, { added: 1, updated: 2, removed: 1, skipped: 1 });
+  assert.equal(second.configCount, 3);
+
+  const refreshed = await subscriptionConfigs(subscription.id);
+  assert.deepEqual(refreshed.map(c => c.name).sort(), ['Server A', 'Server C', 'Server D']);
+  assert.equal(refreshed.find(c => c.name === 'Server A').id, serverA.id);
+  assert.equal(refreshed.find(c => c.name === 'Server C').id, serverC.id);
+  assert.equal(refreshed.find(c => c.name === 'Server C').config.outbounds[0].streamSettings.wsSettings.path, '/ws2');
+
+  await subscriptionManager.removeSubscription(subscription.id);
+  assert.deepEqual(await subscriptionConfigs(subscription.id), []);
+});
+
+test('a renamed feed entry on the same server keeps its config and the user\'s name', async () => {
+  feedBody = base64Fixture('subscription-feed.txt');
+  const subscription = await subscriptionManager.addSubscription('Renames', feedUrl, 0);
+  await subscriptionManager.refreshSubscription(subscription.id);
+
+  const serverA = (await subscriptionConfigs(subscription.id)).find(c => c.name === 'Server A');
+  await xrayManager.renameConfigById(serverA.id, 'My favourite');
+
+  feedBody = base64Fixture('subscription-feed-updated.txt');
+  await subscriptionManager.refreshSubscription(subscription.id);
+
+  const configs = await subscriptionConfigs(subscription.id);
+  const matches = configs.filter(c => c.config.outbounds[0].settings.vnext?.[0]?.address === 'a.example.com');
+  assert.equal(matches.length, 1, 'renamed entry must not create a duplicate');
+  assert.equal(matches[0].id, serverA.id);
+  assert.equal(matches[0].name, 'My favourite');
+  assert.ok(!configs.some(c => c.name === 'Server A (renamed)'));
+
+  await subscriptionManager.removeSubscription(subscription.id);
+});